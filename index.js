@@ -6,20 +6,15 @@ import { ARGUMENT_TYPE, SlashCommandNamedArgument } from "../../../slash-command
 import { commonEnumProviders } from "../../../slash-commands/SlashCommandCommonEnumsProvider.js";
 import { SlashCommandEnumValue  } from "../../../slash-commands/SlashCommandEnumValue.js";
 
-import { textgenerationwebui_settings as textgen_settings, textgen_types } from "../../../../scripts/textgen-settings.js";
-import { oai_settings } from "../../../../scripts/openai.js";
-import { nai_settings } from "../../../../scripts/nai-settings.js";
-import { horde_settings } from "../../../../scripts/horde.js";
-import { kai_settings } from "../../../../scripts/kai-settings.js";
-
 import { initSettings } from "./src/settings/settings.js";
 import { eventHandlers } from "./src/events.js";
 
 import { registerGenerationMutexListeners } from './lib/interconnection.js';
 import { TrackerInterface } from "./src/ui/trackerInterface.js";
 import { TrackerPreviewManager } from "./src/ui/trackerPreviewManager.js";
-import { generateTrackerCommand, getTrackerCommand, saveTrackerToMessageCommand, trackerOverrideCommand } from "./src/commands.js";
+import { generateTrackerCommand, getTrackerCommand, saveTrackerToMessageCommand, trackerBackfillCommand, trackerOverrideCommand, trackerPromptCommand, trackerSceneCommand, validateTrackerCommand } from "./src/commands.js";
 import { FIELD_INCLUDE_OPTIONS } from "./src/trackerDataHandler.js";
+import { onChatCompletionSettingsReady, onTextCompletionSettingsReady } from "./src/structuredOutput.js";
 
 export const extensionName = "Tracker";
 const extensionNameLong = `SillyTavern-${extensionName}`;
@@ -41,6 +36,14 @@ eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, eventHandlers.onCharacter
 eventSource.on(event_types.USER_MESSAGE_RENDERED, eventHandlers.onUserMessageRendered);
 eventSource.on(event_types.GENERATION_AFTER_COMMANDS, eventHandlers.onGenerateAfterCommands);
 eventSource.on(event_types.GENERATE_AFTER_COMBINE_PROMPTS, eventHandlers.generateAfterCombinePrompts);
+eventSource.on(event_types.MESSAGE_SWIPED, eventHandlers.onMessageSwiped);
+eventSource.on(event_types.MESSAGE_EDITED, eventHandlers.onMessageEdited);
+eventSource.on(event_types.MESSAGE_DELETED, eventHandlers.onMessageDeleted);
+eventSource.on(event_types.GENERATION_STARTED, eventHandlers.onGenerationStarted);
+eventSource.on(event_types.GENERATION_ENDED, eventHandlers.onGenerationEnded);
+eventSource.on(event_types.GENERATION_STOPPED, eventHandlers.onGenerationStopped);
+eventSource.on(event_types.TEXT_COMPLETION_SETTINGS_READY, onTextCompletionSettingsReady);
+eventSource.on(event_types.CHAT_COMPLETION_SETTINGS_READY, onChatCompletionSettingsReady);
 
 
 SlashCommandParser.addCommandObject(SlashCommand.fromProps({
@@ -119,4 +122,143 @@ SlashCommandParser.addCommandObject(SlashCommand.fromProps({
 		}),
 	],
 	helpString: 'Retrieves the tracker from the specified message. If no message is provided, the tracker will be retrieved from the last non-system message.',
-}));
\ No newline at end of file
+}));
+
+SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+	name: 'tracker-validate',
+	callback: validateTrackerCommand,
+	returns: 'A JSON array of validation problems, each with a path, type and message. Empty if the tracker is valid.',
+	namedArgumentList: [
+		SlashCommandNamedArgument.fromProps({
+			name: 'message',
+			description: 'message whose tracker should be validated',
+			typeList: [ARGUMENT_TYPE.NUMBER],
+			isRequired: false,
+			enumProvider: commonEnumProviders.messages(),
+		}),
+		SlashCommandNamedArgument.fromProps({
+			name: 'tracker',
+			description: 'a tracker JSON or YAML string to validate instead of a message tracker',
+			typeList: [ARGUMENT_TYPE.STRING],
+			isRequired: false,
+		}),
+	],
+	helpString: 'Validates a tracker against the current tracker definition and lists missing fields, type mismatches, unknown keys, out-of-range numbers and invalid enum values with their JSON paths. If no message is provided, the tracker of the last non-system message is validated.',
+}));
+
+SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+	name: 'tracker-prompt',
+	callback: trackerPromptCommand,
+	returns: 'A JSON array of the prompts of each generation stage, each with its system prompt, request prompt and their token counts.',
+	namedArgumentList: [
+		SlashCommandNamedArgument.fromProps({
+			name: 'message',
+			description: 'message to preview the tracker prompt for',
+			typeList: [ARGUMENT_TYPE.NUMBER],
+			isRequired: false,
+			enumProvider: commonEnumProviders.messages(),
+		}),
+		SlashCommandNamedArgument.fromProps({
+			name: 'include',
+			description: 'which fields to include in the tracker generation',
+			typeList: [ARGUMENT_TYPE.STRING],
+			isRequired: false,
+			defaultValue: 'DYNAMIC',
+			enumProvider: ()=> Object.keys(FIELD_INCLUDE_OPTIONS).map(key=>new SlashCommandEnumValue(key.toLowerCase())),
+		}),
+		SlashCommandNamedArgument.fromProps({
+			name: 'popup',
+			description: 'show the prompts in a popup',
+			typeList: [ARGUMENT_TYPE.BOOLEAN],
+			isRequired: false,
+			defaultValue: 'true',
+			enumList: ['true', 'false'],
+		}),
+	],
+	helpString: 'Builds the system and request prompts that tracker generation would send for the given message and shows them with their token counts, without calling the model. If no message is provided, the prompts for the last non-system message are shown.',
+}));
+
+SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+	name: 'tracker-backfill',
+	callback: trackerBackfillCommand,
+	returns: 'The backfill job as JSON, with its range, next message, status and the number of generated trackers. Null if no backfill is in progress.',
+	namedArgumentList: [
+		SlashCommandNamedArgument.fromProps({
+			name: 'from',
+			description: 'first message of the range, the first message of the chat by default',
+			typeList: [ARGUMENT_TYPE.NUMBER],
+			isRequired: false,
+			enumProvider: commonEnumProviders.messages(),
+		}),
+		SlashCommandNamedArgument.fromProps({
+			name: 'to',
+			description: 'last message of the range, the last message of the chat by default',
+			typeList: [ARGUMENT_TYPE.NUMBER],
+			isRequired: false,
+			enumProvider: commonEnumProviders.messages(),
+		}),
+		SlashCommandNamedArgument.fromProps({
+			name: 'overwrite',
+			description: 'regenerate trackers of messages that already have one',
+			typeList: [ARGUMENT_TYPE.BOOLEAN],
+			isRequired: false,
+			defaultValue: 'false',
+			enumList: ['true', 'false'],
+		}),
+		SlashCommandNamedArgument.fromProps({
+			name: 'action',
+			description: 'what to do with the backfill of the open chat',
+			typeList: [ARGUMENT_TYPE.STRING],
+			isRequired: false,
+			defaultValue: 'start',
+			enumList: ['start', 'pause', 'resume', 'cancel', 'status'],
+		}),
+		SlashCommandNamedArgument.fromProps({
+			name: 'await',
+			description: 'wait for the backfill to stop before returning',
+			typeList: [ARGUMENT_TYPE.BOOLEAN],
+			isRequired: false,
+			defaultValue: 'false',
+			enumList: ['true', 'false'],
+		}),
+	],
+	helpString: 'Generates the missing trackers of a message range in order, each from the tracker before it. The backfill runs in the background, can be paused, resumed and cancelled with the action argument, and continues when the chat is opened again.',
+}));
+
+SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+	name: 'tracker-scene',
+	callback: trackerSceneCommand,
+	returns: 'The scene boundary as JSON, with the fields it resets and what they are reset to. Empty if the boundary was removed.',
+	namedArgumentList: [
+		SlashCommandNamedArgument.fromProps({
+			name: 'message',
+			description: 'message that starts the new scene, the last message by default',
+			typeList: [ARGUMENT_TYPE.NUMBER],
+			isRequired: false,
+			enumProvider: commonEnumProviders.messages(),
+		}),
+		SlashCommandNamedArgument.fromProps({
+			name: 'fields',
+			description: 'comma separated names of the fields to reset, all dynamic fields by default',
+			typeList: [ARGUMENT_TYPE.STRING],
+			isRequired: false,
+		}),
+		SlashCommandNamedArgument.fromProps({
+			name: 'reset',
+			description: 'reset the fields to their default values or to the scene start template',
+			typeList: [ARGUMENT_TYPE.STRING],
+			isRequired: false,
+			defaultValue: 'defaults',
+			enumList: ['defaults', 'template'],
+		}),
+		SlashCommandNamedArgument.fromProps({
+			name: 'remove',
+			description: 'remove the scene boundary of the message',
+			typeList: [ARGUMENT_TYPE.BOOLEAN],
+			isRequired: false,
+			defaultValue: 'false',
+			enumList: ['true', 'false'],
+		}),
+	],
+	helpString: 'Marks a message as the start of a new scene. Its tracker starts from the chosen fields reset, and prompts stop looking back past it for the current tracker and recent messages.',
+}));
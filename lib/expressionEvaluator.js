@@ -0,0 +1,410 @@
+import { parseNumber } from "./utils.js";
+
+// #region Expression Evaluator
+
+/**
+ * A small, sandboxed expression language for computed tracker fields.
+ * Expressions never reach `eval`; they are tokenized, parsed into an AST and interpreted here.
+ *
+ * Supported syntax:
+ * - Literals: numbers, 'single' or "double" quoted strings, true, false, null
+ * - Field references: `Location`, `Characters.Alice.Outfit`, `Characters["Alice Smith"]`, `CharactersPresent[0]`
+ * - Operators: + - * / % == != < > <= >= && || ! and the ternary `cond ? a : b`
+ * - Function calls from the whitelist in `FUNCTIONS`, e.g. `len(CharactersPresent)` or `upper(Weather)`
+ *
+ * Field references are resolved through a scope chain, innermost scope first, so a nested field can refer to
+ * its siblings as well as to fields of its parents.
+ */
+
+const FORBIDDEN_KEYS = ["__proto__", "prototype", "constructor"];
+
+const FUNCTIONS = {
+	len: (value) => {
+		if (typeof value === "string" || Array.isArray(value)) return value.length;
+		if (value && typeof value === "object") return Object.keys(value).length;
+		return 0;
+	},
+	upper: (value) => toText(value).toUpperCase(),
+	lower: (value) => toText(value).toLowerCase(),
+	trim: (value) => toText(value).trim(),
+	join: (list, separator = ", ") => (Array.isArray(list) ? list.map(toText).join(separator) : toText(list)),
+	split: (value, separator = ",") =>
+		toText(value)
+			.split(separator)
+			.map((part) => part.trim())
+			.filter((part) => part !== ""),
+	keys: (value) => (value && typeof value === "object" && !Array.isArray(value) ? Object.keys(value) : []),
+	values: (value) => (value && typeof value === "object" ? Object.values(value) : []),
+	number: (value) => toNumber(value),
+	round: (value, digits = 0) => {
+		const number = toNumber(value);
+		if (number === null) return null;
+		const factor = Math.pow(10, toNumber(digits) ?? 0);
+		return Math.round(number * factor) / factor;
+	},
+	floor: (value) => applyNumeric(value, Math.floor),
+	ceil: (value) => applyNumeric(value, Math.ceil),
+	abs: (value) => applyNumeric(value, Math.abs),
+	min: (...args) => aggregateNumbers(args, (numbers) => Math.min(...numbers)),
+	max: (...args) => aggregateNumbers(args, (numbers) => Math.max(...numbers)),
+	sum: (...args) => aggregateNumbers(args, (numbers) => numbers.reduce((total, number) => total + number, 0)),
+	contains: (haystack, needle) => {
+		if (Array.isArray(haystack)) return haystack.some((item) => looseEquals(item, needle));
+		if (haystack && typeof haystack === "object") return Object.prototype.hasOwnProperty.call(haystack, toText(needle));
+		return toText(haystack).toLowerCase().includes(toText(needle).toLowerCase());
+	},
+	match: (value, pattern, group = 0) => {
+		const match = toText(value).match(new RegExp(toText(pattern), "i"));
+		return match ? match[toNumber(group) ?? 0] ?? "" : "";
+	},
+	replace: (value, search, replacement = "") => toText(value).split(toText(search)).join(toText(replacement)),
+	default: (value, fallback) => (isEmpty(value) ? fallback : value),
+	hour: (value) => {
+		const match = toText(value).match(/(\d{1,2})(?::(\d{2}))?\s*([ap]\.?m\.?)?/i);
+		if (!match) return null;
+		let hour = parseInt(match[1]) % 24;
+		const meridiem = match[3]?.toLowerCase().replace(/\./g, "");
+		if (meridiem === "pm" && hour < 12) hour += 12;
+		if (meridiem === "am" && hour === 12) hour = 0;
+		return hour;
+	},
+};
+
+const astCache = new Map();
+
+/**
+ * Evaluates an expression against a chain of scopes.
+ * @param {string} expression - The expression to evaluate.
+ * @param {Array<Object>} scopes - The scopes used to resolve field references, outermost first.
+ * @returns {*} - The result of the expression.
+ * @throws {Error} - If the expression cannot be parsed or evaluated.
+ */
+export function evaluateExpression(expression, scopes = []) {
+	return evaluateNode(parseExpression(expression), scopes);
+}
+
+/**
+ * Parses an expression into its syntax tree. Parsed expressions are cached.
+ * @param {string} expression - The expression to parse.
+ * @returns {Object} - The syntax tree.
+ * @throws {Error} - If the expression is not valid.
+ */
+export function parseExpression(expression) {
+	const source = String(expression ?? "");
+	if (astCache.has(source)) return astCache.get(source);
+
+	const parser = new Parser(tokenize(source), source);
+	const ast = parser.parse();
+	astCache.set(source, ast);
+	return ast;
+}
+
+// #endregion
+
+// #region Tokenizer
+
+const OPERATORS = ["==", "!=", "<=", ">=", "&&", "||", "+", "-", "*", "/", "%", "<", ">", "!", "?", ":", "(", ")", "[", "]", ".", ","];
+
+function tokenize(source) {
+	const tokens = [];
+	let pos = 0;
+
+	while (pos < source.length) {
+		const char = source[pos];
+
+		if (/\s/.test(char)) {
+			pos++;
+			continue;
+		}
+
+		if (/[0-9]/.test(char) || (char === "." && /[0-9]/.test(source[pos + 1] ?? ""))) {
+			const match = source.slice(pos).match(/^\d*\.?\d+/);
+			tokens.push({ type: "number", value: parseFloat(match[0]), pos });
+			pos += match[0].length;
+			continue;
+		}
+
+		if (char === '"' || char === "'") {
+			let value = "";
+			let end = pos + 1;
+			while (end < source.length && source[end] !== char) {
+				if (source[end] === "\\" && end + 1 < source.length) end++;
+				value += source[end];
+				end++;
+			}
+			if (end >= source.length) throw new Error(`Unterminated string at position ${pos} in expression "${source}".`);
+			tokens.push({ type: "string", value, pos });
+			pos = end + 1;
+			continue;
+		}
+
+		if (/[\p{L}_$]/u.test(char)) {
+			const match = source.slice(pos).match(/^[\p{L}\p{N}_$]+/u);
+			tokens.push({ type: "identifier", value: match[0], pos });
+			pos += match[0].length;
+			continue;
+		}
+
+		const operator = OPERATORS.find((op) => source.startsWith(op, pos));
+		if (!operator) throw new Error(`Unexpected character "${char}" at position ${pos} in expression "${source}".`);
+		tokens.push({ type: "operator", value: operator, pos });
+		pos += operator.length;
+	}
+
+	tokens.push({ type: "end", value: null, pos });
+	return tokens;
+}
+
+// #endregion
+
+// #region Parser
+
+class Parser {
+	constructor(tokens, source) {
+		this.tokens = tokens;
+		this.source = source;
+		this.index = 0;
+	}
+
+	parse() {
+		if (this.peek().type === "end") throw new Error("Expression is empty.");
+		const node = this.parseTernary();
+		if (this.peek().type !== "end") this.fail(this.peek());
+		return node;
+	}
+
+	peek() {
+		return this.tokens[this.index];
+	}
+
+	next() {
+		return this.tokens[this.index++];
+	}
+
+	matchOperator(...operators) {
+		const token = this.peek();
+		if (token.type === "operator" && operators.includes(token.value)) {
+			this.index++;
+			return token.value;
+		}
+		return null;
+	}
+
+	expectOperator(operator) {
+		const token = this.next();
+		if (token.type !== "operator" || token.value !== operator) this.fail(token, operator);
+	}
+
+	fail(token, expected = null) {
+		const found = token.type === "end" ? "end of expression" : `"${token.value}"`;
+		throw new Error(`Unexpected ${found} at position ${token.pos}${expected ? `, expected "${expected}"` : ""} in expression "${this.source}".`);
+	}
+
+	parseTernary() {
+		const condition = this.parseBinary(0);
+		if (!this.matchOperator("?")) return condition;
+		const consequent = this.parseTernary();
+		this.expectOperator(":");
+		const alternate = this.parseTernary();
+		return { type: "conditional", condition, consequent, alternate };
+	}
+
+	parseBinary(level) {
+		const levels = [["||"], ["&&"], ["==", "!="], ["<", ">", "<=", ">="], ["+", "-"], ["*", "/", "%"]];
+		if (level >= levels.length) return this.parseUnary();
+
+		let left = this.parseBinary(level + 1);
+		let operator;
+		while ((operator = this.matchOperator(...levels[level]))) {
+			const right = this.parseBinary(level + 1);
+			left = { type: "binary", operator, left, right };
+		}
+		return left;
+	}
+
+	parseUnary() {
+		const operator = this.matchOperator("!", "-");
+		if (operator) return { type: "unary", operator, argument: this.parseUnary() };
+		return this.parsePostfix();
+	}
+
+	parsePostfix() {
+		let node = this.parsePrimary();
+
+		for (;;) {
+			if (this.matchOperator(".")) {
+				const token = this.next();
+				if (token.type !== "identifier" && token.type !== "number") this.fail(token);
+				node = { type: "member", object: node, property: { type: "literal", value: String(token.value) } };
+			} else if (this.matchOperator("[")) {
+				const property = this.parseTernary();
+				this.expectOperator("]");
+				node = { type: "member", object: node, property };
+			} else {
+				return node;
+			}
+		}
+	}
+
+	parsePrimary() {
+		const token = this.next();
+
+		if (token.type === "number" || token.type === "string") return { type: "literal", value: token.value };
+
+		if (token.type === "identifier") {
+			if (token.value === "true") return { type: "literal", value: true };
+			if (token.value === "false") return { type: "literal", value: false };
+			if (token.value === "null") return { type: "literal", value: null };
+
+			if (this.matchOperator("(")) {
+				if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value)) {
+					throw new Error(`Unknown function "${token.value}" in expression "${this.source}".`);
+				}
+				const args = [];
+				if (!this.matchOperator(")")) {
+					do {
+						args.push(this.parseTernary());
+					} while (this.matchOperator(","));
+					this.expectOperator(")");
+				}
+				return { type: "call", name: token.value, args };
+			}
+
+			return { type: "identifier", name: token.value };
+		}
+
+		if (token.type === "operator" && token.value === "(") {
+			const node = this.parseTernary();
+			this.expectOperator(")");
+			return node;
+		}
+
+		this.fail(token);
+	}
+}
+
+// #endregion
+
+// #region Interpreter
+
+function evaluateNode(node, scopes) {
+	switch (node.type) {
+		case "literal":
+			return node.value;
+		case "identifier":
+			for (let i = scopes.length - 1; i >= 0; i--) {
+				const value = getProperty(scopes[i], node.name);
+				if (value !== undefined) return value;
+			}
+			return null;
+		case "member":
+			return getProperty(evaluateNode(node.object, scopes), evaluateNode(node.property, scopes)) ?? null;
+		case "call":
+			return FUNCTIONS[node.name](...node.args.map((arg) => evaluateNode(arg, scopes)));
+		case "unary": {
+			const value = evaluateNode(node.argument, scopes);
+			return node.operator === "!" ? !isTruthy(value) : -(toNumber(value) ?? 0);
+		}
+		case "conditional":
+			return isTruthy(evaluateNode(node.condition, scopes)) ? evaluateNode(node.consequent, scopes) : evaluateNode(node.alternate, scopes);
+		case "binary":
+			return evaluateBinary(node, scopes);
+		default:
+			throw new Error(`Unknown expression node "${node.type}".`);
+	}
+}
+
+function evaluateBinary(node, scopes) {
+	const left = evaluateNode(node.left, scopes);
+
+	// Short-circuit logical operators, returning the deciding operand like JavaScript does
+	if (node.operator === "&&") return isTruthy(left) ? evaluateNode(node.right, scopes) : left;
+	if (node.operator === "||") return isTruthy(left) ? left : evaluateNode(node.right, scopes);
+
+	const right = evaluateNode(node.right, scopes);
+
+	switch (node.operator) {
+		case "==":
+			return looseEquals(left, right);
+		case "!=":
+			return !looseEquals(left, right);
+		case "<":
+		case ">":
+		case "<=":
+		case ">=": {
+			const leftNumber = toNumber(left);
+			const rightNumber = toNumber(right);
+			const [a, b] = leftNumber !== null && rightNumber !== null ? [leftNumber, rightNumber] : [toText(left), toText(right)];
+			if (node.operator === "<") return a < b;
+			if (node.operator === ">") return a > b;
+			if (node.operator === "<=") return a <= b;
+			return a >= b;
+		}
+		case "+":
+			if (typeof left === "number" && typeof right === "number") return left + right;
+			return toText(left) + toText(right);
+		default: {
+			const a = toNumber(left) ?? 0;
+			const b = toNumber(right) ?? 0;
+			if (node.operator === "-") return a - b;
+			if (node.operator === "*") return a * b;
+			if (b === 0) return null;
+			return node.operator === "/" ? a / b : a % b;
+		}
+	}
+}
+
+function getProperty(object, key) {
+	if (object === null || object === undefined || typeof object !== "object") return undefined;
+	const property = String(key);
+	if (FORBIDDEN_KEYS.includes(property)) return undefined;
+	return Object.prototype.hasOwnProperty.call(object, property) ? object[property] : undefined;
+}
+
+function toText(value) {
+	if (value === null || value === undefined) return "";
+	if (Array.isArray(value)) return value.map(toText).join(", ");
+	if (typeof value === "object") return JSON.stringify(value);
+	return String(value);
+}
+
+function toNumber(value) {
+	if (typeof value === "boolean") return value ? 1 : 0;
+	return parseNumber(value);
+}
+
+function applyNumeric(value, fn) {
+	const number = toNumber(value);
+	return number === null ? null : fn(number);
+}
+
+function aggregateNumbers(args, fn) {
+	const numbers = args
+		.flat()
+		.map(toNumber)
+		.filter((number) => number !== null);
+	return numbers.length ? fn(numbers) : null;
+}
+
+function looseEquals(a, b) {
+	if (a === b) return true;
+	if (a === null || a === undefined || b === null || b === undefined) return isEmpty(a) && isEmpty(b);
+	if (typeof a === "object" || typeof b === "object") return false;
+	return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+function isEmpty(value) {
+	if (value === null || value === undefined) return true;
+	if (typeof value === "string") return value.trim() === "";
+	if (Array.isArray(value)) return value.length === 0;
+	if (typeof value === "object") return Object.keys(value).length === 0;
+	return false;
+}
+
+function isTruthy(value) {
+	if (typeof value === "string") return !["", "false", "no", "0"].includes(value.trim().toLowerCase());
+	if (value && typeof value === "object") return !isEmpty(value);
+	return !!value;
+}
+
+// #endregion
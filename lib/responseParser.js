@@ -0,0 +1,196 @@
+import { yamlToJSON } from "./ymlParser.js";
+
+// #region Tracker Response Parsing
+
+/**
+ * Extracts and parses a tracker from a model response, repairing common formatting problems.
+ * Candidates are tried in order: the content of `<tracker>` tags, an unclosed `<tracker>` tag,
+ * fenced code blocks and finally the untagged response. Each candidate is parsed in the expected
+ * format first and in the other format second.
+ * @param {string} response - The raw model response.
+ * @param {string} format - The expected format, "JSON" or "YAML".
+ * @param {string[]} [expectedKeys] - Top-level keys of the tracker. If given, a candidate must contain at least one of them,
+ * compared ignoring case, spaces and punctuation, so prose around the tracker is not mistaken for it.
+ * @param {boolean} [allowEmpty=false] - Whether an empty tracker is a valid response, like a tracker patch without changes.
+ * @returns {{tracker: Object, repaired: boolean}} - The parsed tracker and whether local repair was needed.
+ * @throws {Error} If no candidate could be parsed into a tracker object.
+ */
+export function parseTrackerResponse(response, format = "JSON", expectedKeys = null, allowEmpty = false) {
+    if (typeof response !== "string" || response.trim() === "") {
+        throw new Error("The response is empty.");
+    }
+
+    const candidates = getCandidates(response);
+    const parsers = format === "YAML" ? [parseYamlCandidate, parseJsonCandidate] : [parseJsonCandidate, parseYamlCandidate];
+
+    let firstError = null;
+    for (const candidate of candidates) {
+        for (const parser of parsers) {
+            try {
+                const { tracker, repaired } = parser(candidate.text, allowEmpty);
+                if (!allowEmpty || Object.keys(tracker).length > 0) checkExpectedKeys(tracker, expectedKeys);
+                return { tracker, repaired: repaired || candidate.repaired || parser !== parsers[0] };
+            } catch (e) {
+                firstError = firstError || e;
+            }
+        }
+    }
+
+    if (!response.match(/<tracker>/i)) {
+        throw new Error(`No <tracker></tracker> tags found and the response is not a valid ${format} tracker.`);
+    }
+    throw new Error(`The tracker is not valid ${format}: ${firstError?.message}`);
+}
+
+/**
+ * Repairs common problems of model generated JSON: text around the object, smart quotes, comments,
+ * single-quoted strings, unquoted keys, raw line breaks in strings, trailing commas and missing closing brackets.
+ * @param {string} text - The broken JSON text.
+ * @returns {string} - The repaired JSON text.
+ */
+export function repairJson(text) {
+    const start = text.search(/[{[]/);
+    if (start === -1) return text;
+
+    const source = text
+        .slice(start)
+        .replace(/[“”„‟]/g, '"')
+        .replace(/[‘’]/g, "'");
+
+    let output = "";
+    const closers = [];
+    let i = 0;
+
+    while (i < source.length) {
+        const char = source[i];
+
+        if (char === '"' || char === "'") {
+            const [string, end] = readString(source, i);
+            output += string;
+            i = end;
+        } else if (char === "/" && source[i + 1] === "/") {
+            const end = source.indexOf("\n", i);
+            i = end === -1 ? source.length : end;
+        } else if (char === "/" && source[i + 1] === "*") {
+            const end = source.indexOf("*/", i + 2);
+            i = end === -1 ? source.length : end + 2;
+        } else if (char === "{" || char === "[") {
+            closers.push(char === "{" ? "}" : "]");
+            output += char;
+            i++;
+        } else if (char === "}" || char === "]") {
+            output = output.replace(/,\s*$/, "");
+            closers.pop();
+            output += char;
+            i++;
+            // Ignore anything after the outermost object
+            if (closers.length === 0) break;
+        } else if (/[A-Za-z_$]/.test(char) && /[{,]\s*$/.test(output)) {
+            // Unquoted key
+            const key = source.slice(i).match(/^[A-Za-z_$][\w$\- ]*?(?=\s*:)/);
+            if (key) {
+                output += JSON.stringify(key[0].trim());
+                i += key[0].length;
+            } else {
+                output += char;
+                i++;
+            }
+        } else {
+            output += char;
+            i++;
+        }
+    }
+
+    // Close whatever a truncated response left open, dropping a key that was cut off before its value
+    if (closers[closers.length - 1] === "}") output = output.replace(/([,{])\s*"(?:[^"\\]|\\.)*"\s*:?\s*$/, (match, before) => (before === "{" ? "{" : ""));
+    output = output.replace(/,\s*$/, "");
+    while (closers.length > 0) output += closers.pop();
+
+    return output;
+}
+
+function getCandidates(response) {
+    const candidates = [];
+
+    const tagged = response.match(/<tracker>([\s\S]*?)<\/tracker>/i);
+    if (tagged) candidates.push({ text: tagged[1].trim(), repaired: false });
+
+    const unclosed = !tagged && response.match(/<tracker>([\s\S]*)$/i);
+    if (unclosed) candidates.push({ text: unclosed[1].trim(), repaired: true });
+
+    for (const fenced of response.matchAll(/```[a-zA-Z]*\s*([\s\S]*?)```/g)) {
+        candidates.push({ text: fenced[1].trim(), repaired: true });
+    }
+
+    candidates.push({ text: response.replace(/<\/?tracker>/gi, "").trim(), repaired: true });
+    return candidates;
+}
+
+function parseJsonCandidate(text, allowEmpty = false) {
+    try {
+        return { tracker: toTracker(JSON.parse(text), allowEmpty), repaired: false };
+    } catch (e) {
+        const repaired = repairJson(text);
+        if (repaired === text) throw e;
+        try {
+            return { tracker: toTracker(JSON.parse(repaired), allowEmpty), repaired: true };
+        } catch {
+            throw e;
+        }
+    }
+}
+
+function parseYamlCandidate(text) {
+    // Lines without a key can't be part of a tracker, so prose around the YAML is skipped
+    const lines = text.replace(/^---\s*$/m, "").split("\n");
+    if (!lines.some((line) => /^\s*[^\s:#][^:]*:(\s|$)/.test(line))) {
+        throw new Error("No YAML key-value pairs found.");
+    }
+    return { tracker: toTracker(JSON.parse(yamlToJSON(text))), repaired: false };
+}
+
+function toTracker(value, allowEmpty = false) {
+    if (value === null || typeof value !== "object" || Array.isArray(value)) {
+        throw new Error("The tracker must be an object.");
+    }
+    if (!allowEmpty && Object.keys(value).length === 0) {
+        throw new Error("The tracker has no fields.");
+    }
+    return value;
+}
+
+function checkExpectedKeys(tracker, expectedKeys) {
+    if (!expectedKeys || expectedKeys.length === 0) return;
+    const normalize = (key) => String(key).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, "");
+    const expected = expectedKeys.map(normalize);
+    if (!Object.keys(tracker).some((key) => expected.includes(normalize(key)))) {
+        throw new Error("The tracker contains none of the tracker fields.");
+    }
+}
+
+function readString(source, start) {
+    const quote = source[start];
+    let value = "";
+    let i = start + 1;
+
+    while (i < source.length && source[i] !== quote) {
+        const char = source[i];
+        if (char === "\\") {
+            const next = source[i + 1] ?? "";
+            value += next === "'" ? "'" : char + next;
+            i += 2;
+            continue;
+        }
+
+        if (char === '"') value += '\\"';
+        else if (char === "\n") value += "\\n";
+        else if (char === "\r") value += "\\r";
+        else if (char === "\t") value += "\\t";
+        else value += char;
+        i++;
+    }
+
+    return [`"${value}"`, i + 1];
+}
+
+// #endregion
@@ -0,0 +1,327 @@
+import { parseBoolean } from "./utils.js";
+
+// #region Template Engine
+
+/**
+ * Renders a template string with the given data.
+ * Supports `{{key.subkey}}` variables with string operations like `{{key | toUpperCase()}}`,
+ * `{{#if condition}}...{{/if}}` conditionals with comparison operators,
+ * `{{#foreach collection item}}...{{/foreach}}` loops over arrays and objects and `{{#join "separator" collection}}`.
+ * @param {string} template - The template string.
+ * @param {object} data - The data the template refers to.
+ * @param {object} [options]
+ * @param {function(string): string} [options.resolveMacro] - Resolves placeholders that aren't data variables, like SillyTavern macros.
+ * Receives the placeholder as written, e.g. `{{getvar::x}}`. Without it, they are removed.
+ * @returns {string} - The rendered string.
+ */
+export function renderTemplate(template, data, options = {}) {
+	const tokens = tokenizeTemplate(template ?? "");
+	return processTokens(tokens, data ?? {}, {}, options);
+}
+
+/**
+ * Tokenizes the template string into an array of tokens.
+ * @param {string} template - The template string.
+ * @returns {Array} - The array of tokens.
+ */
+function tokenizeTemplate(template) {
+	const tokens = [];
+	const regex = /{{\s*(\/?)\s*(#?)\s*([\w.]+|\^)\s*(.*?)\s*}}/g;
+	let cursor = 0;
+	let match;
+
+	while ((match = regex.exec(template)) !== null) {
+		const index = match.index;
+
+		// Add text tokens between placeholders.
+		if (index > cursor) {
+			tokens.push({
+				type: "text",
+				value: template.slice(cursor, index),
+			});
+		}
+
+		const [fullMatch, closingSlash, hash, tag, params] = match;
+
+		if (closingSlash) {
+			// End tag token (e.g., {{/if}})
+			tokens.push({
+				type: "end",
+				tag: tag.trim(),
+			});
+		} else if (hash) {
+			// Start tag token (e.g., {{#if condition}})
+			tokens.push({
+				type: "start",
+				tag: tag.trim(),
+				params: params.trim(),
+			});
+		} else if (params && !params.startsWith("|")) {
+			// Placeholder with arguments, e.g. a macro like {{getvar::x}}
+			tokens.push({
+				type: "macro",
+				value: fullMatch,
+			});
+		} else {
+			// Variable token (e.g., {{variable}} or {{variable | toUpperCase()}})
+			tokens.push({
+				type: "variable",
+				value: params ? `${tag.trim()} ${params}` : tag.trim(),
+				raw: fullMatch,
+			});
+		}
+
+		cursor = index + fullMatch.length;
+	}
+
+	// Add any remaining text after the last placeholder.
+	if (cursor < template.length) {
+		tokens.push({
+			type: "text",
+			value: template.slice(cursor),
+		});
+	}
+
+	return tokens;
+}
+
+/**
+ * Processes the tokens recursively to generate the final string.
+ * @param {Array} tokens - The array of tokens.
+ * @param {object} data - The data object.
+ * @param {object} [context={}] - The context object for scope management.
+ * @param {object} [options={}] - The render options.
+ * @returns {string} - The processed string.
+ */
+function processTokens(tokens, data, context = {}, options = {}) {
+	let result = "";
+	const resolveMacro = (macro) => (options.resolveMacro ? options.resolveMacro(macro) ?? "" : "");
+
+	while (tokens.length > 0) {
+		const token = tokens.shift();
+
+		if (token.type === "text") {
+			// Append plain text to the result.
+			result += token.value;
+		} else if (token.type === "macro") {
+			result += resolveMacro(token.value);
+		} else if (token.type === "variable") {
+			// Replace variable placeholders with actual data.
+			let value = getValue(token.value, data, context);
+
+			if (value === undefined) {
+				result += resolveMacro(token.raw);
+				continue;
+			}
+
+			// Handle objects in variable tokens
+			if (typeof value === "object" && value !== null) {
+				if ("name" in value) {
+					value = value.name;
+				} else if ("id" in value) {
+					value = value.id;
+				} else {
+					value = context._key; // Fallback to the parent key
+				}
+			}
+			result += value !== undefined && value !== null ? value : "";
+		} else if (token.type === "start") {
+			if (token.tag === "if") {
+				// Handle conditional blocks.
+				const condition = token.params;
+				const [innerTokens, remainingTokens] = extractInnerTokens(tokens, "if");
+				const conditionMet = evaluateCondition(condition, data, context);
+
+				if (conditionMet) {
+					result += processTokens(innerTokens, data, context, options);
+				}
+
+				tokens = remainingTokens;
+			} else if (token.tag === "foreach") {
+				// Handle loop blocks.
+				const params = token.params.split(/\s+/);
+				const collectionName = params[0];
+				const itemName = params[1];
+
+				const collection = getValue(collectionName, data, context);
+				const [innerTokens, remainingTokens] = extractInnerTokens(tokens, "foreach");
+
+				// Skip the foreach block if the collection is empty or not an object.
+				if (collection && typeof collection === "object") {
+					const items = Array.isArray(collection) ? collection.map((item, index) => [index, item]) : Object.entries(collection);
+
+					items.forEach(([key, item], index) => {
+						const newContext = {
+							...context,
+							[itemName]: item,
+							index,
+							_key: key,
+						};
+						result += processTokens([...innerTokens], data, newContext, options);
+					});
+				}
+
+				tokens = remainingTokens;
+			} else if (token.tag === "join") {
+				// Handle join operations.
+				const params = token.params.match(/^(['"])(.*?)\1\s+(.+)$/);
+				if (params) {
+					const separator = params[2];
+					const arrayName = params[3];
+					const array = getValue(arrayName, data, context);
+
+					if (Array.isArray(array)) {
+						result += array.join(separator);
+					} else if (array && typeof array === "object" && !Array.isArray(array)) {
+						result += Object.values(array).join(separator);
+					}
+				}
+				// 'join' does not require an end tag.
+			}
+		} else if (token.type === "end") {
+			// End tokens are handled during the extraction of inner tokens.
+			continue;
+		}
+	}
+
+	return result;
+}
+
+/**
+ * Extracts inner tokens until the matching end tag is found.
+ * @param {Array} tokens - The array of tokens.
+ * @param {string} tagName - The tag name to match.
+ * @returns {Array} - An array containing inner tokens and remaining tokens.
+ * @throws {Error} - Throws an error if the end tag is not found.
+ */
+function extractInnerTokens(tokens, tagName) {
+	let nested = 1;
+	const innerTokens = [];
+
+	while (tokens.length > 0) {
+		const token = tokens.shift();
+
+		if (token.type === "start" && token.tag === tagName) {
+			nested++;
+		} else if (token.type === "end" && token.tag === tagName) {
+			nested--;
+			if (nested === 0) {
+				return [innerTokens, tokens];
+			}
+		}
+		innerTokens.push(token);
+	}
+
+	throw new Error(`Unmatched {{#${tagName}}}`);
+}
+
+/**
+ * Retrieves the value of a variable from data or context.
+ * Supports string operations.
+ * @param {string} variable - The variable name (can be nested using dot notation).
+ * @param {object} data - The data object.
+ * @param {object} context - The context object.
+ * @returns {*} - The value of the variable or undefined if not found.
+ */
+function getValue(variable, data, context) {
+	const [path, ...operations] = variable.split("|").map((part) => part.trim());
+	const parts = path.split(".");
+	let value = Object.hasOwn(context, parts[0]) ? context[parts[0]] : Object.hasOwn(data, parts[0]) ? data[parts[0]] : undefined;
+
+	for (let i = 1; i < parts.length; i++) {
+		if (value && typeof value === "object" && parts[i] in value) {
+			value = value[parts[i]];
+		} else {
+			return undefined;
+		}
+	}
+
+	// Apply string operations if any
+	if (operations.length > 0 && typeof value === "string") {
+		value = applyStringOperations(value, operations);
+	}
+
+	return value;
+}
+
+/**
+ * Applies string operations to a value.
+ * @param {string} value - The string value.
+ * @param {Array} operations - Array of operations to apply.
+ * @returns {string} - The transformed string.
+ */
+function applyStringOperations(value, operations) {
+	operations.forEach((operation) => {
+		if (operation === "toUpperCase()") {
+			value = value.toUpperCase();
+		} else if (operation === "toLowerCase()") {
+			value = value.toLowerCase();
+		} else if (operation === "trim()") {
+			value = value.trim();
+		} else if (operation.startsWith("substring(")) {
+			const args = operation.match(/substring\((\d+),\s*(\d+)\)/);
+			if (args) {
+				const start = parseInt(args[1], 10);
+				const end = parseInt(args[2], 10);
+				value = value.substring(start, end);
+			}
+		}
+		// Add more string operations as needed
+	});
+	return value;
+}
+
+/**
+ * Evaluates a condition for the {{#if}} tag.
+ * Supports comparison operators.
+ * @param {string} condition - The condition string.
+ * @param {object} data - The data object.
+ * @param {object} context - The context object.
+ * @returns {boolean} - The result of the condition evaluation.
+ */
+function evaluateCondition(condition, data, context) {
+	// Two-character operators first, so `>=` isn't read as `>`
+	const operators = [">=", "<=", "==", "!=", ">", "<"];
+	let operatorFound = null;
+
+	for (const op of operators) {
+		if (condition.includes(op)) {
+			operatorFound = op;
+			break;
+		}
+	}
+
+	if (operatorFound) {
+		const [left, right] = condition.split(operatorFound).map((part) => part.trim());
+		const leftValue = getValue(left, data, context);
+		let rightValue = right.replace(/^['"]|['"]$/g, ""); // Remove quotes
+
+		// Compare booleans as booleans so `{{#if Flag == "yes"}}` and `{{#if Flag == true}}` both work
+		if (typeof leftValue === "boolean") {
+			rightValue = parseBoolean(rightValue) ?? rightValue;
+		}
+
+		switch (operatorFound) {
+			case "==":
+				return leftValue == rightValue;
+			case "!=":
+				return leftValue != rightValue;
+			case ">":
+				return leftValue > rightValue;
+			case "<":
+				return leftValue < rightValue;
+			case ">=":
+				return leftValue >= rightValue;
+			case "<=":
+				return leftValue <= rightValue;
+			default:
+				return false;
+		}
+	} else {
+		// If no operator, check truthiness
+		const value = getValue(condition, data, context);
+		return !!value;
+	}
+}
+
+// #endregion
@@ -148,6 +148,39 @@ export function toTitleCase(str) {
 		.join(" ");
 }
 
+/**
+ * Parses a boolean from common LLM spellings such as "true", "Yes", "y", "1", "on" and their negatives.
+ * @param {*} value - The value to parse.
+ * @returns {boolean|null} - The parsed boolean or null if the value is not recognized.
+ */
+export function parseBoolean(value) {
+	if (typeof value === "boolean") return value;
+	if (typeof value === "number") return value === 1 ? true : value === 0 ? false : null;
+	if (typeof value !== "string") return null;
+
+	const normalized = value
+		.trim()
+		.toLowerCase()
+		.replace(/[.!]+$/, "");
+	if (["true", "yes", "y", "1", "on"].includes(normalized)) return true;
+	if (["false", "no", "n", "0", "off"].includes(normalized)) return false;
+	return null;
+}
+
+/**
+ * Extracts a number from a value, accepting numeric strings like "40", "about 40ish" or "1,250".
+ * @param {*} value - The value to parse.
+ * @returns {number|null} - The parsed number or null if none was found.
+ */
+export function parseNumber(value) {
+	if (typeof value === "number") return Number.isFinite(value) ? value : null;
+	if (typeof value !== "string") return null;
+	const match = value.replace(/(\d),(?=\d{3}\b)/g, "$1").match(/-?\d*\.?\d+/);
+	if (!match) return null;
+	const number = parseFloat(match[0]);
+	return Number.isFinite(number) ? number : null;
+}
+
 export function unescapeJsonString(input) {
     const QUOTED_STRING_REGEX = /("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*')/g;
 
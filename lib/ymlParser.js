@@ -138,6 +138,7 @@ function getValueAtPath(obj, path) {
 function parseValue(value) {
     if (value === "true") return true;
     if (value === "false") return false;
+    if (value === "null") return null;
     if (!isNaN(value)) return Number(value);
     return value;
 }
@@ -196,6 +197,7 @@ export function jsonToYAML(json, indent = 0) {
 function parseValueToString(value) {
     if (typeof value === "string") return `"${value}"`;
     if (typeof value === "boolean" || typeof value === "number") return value.toString();
+    if (value === null) return "null";
     return "";
 }
 
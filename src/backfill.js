@@ -0,0 +1,250 @@
+import { chat, chat_metadata, getCurrentChatId, saveChatConditional } from "../../../../../script.js";
+import { debug, getPreviousNonSystemMessageIndex, log, shouldGenerateTracker, warn } from "../lib/utils.js";
+import { generateTracker } from "./generation.js";
+import { setMessageTracker } from "./trackerDataHandler.js";
+import { TrackerPreviewManager } from "./ui/trackerPreviewManager.js";
+
+export const BACKFILL_STATUS = {
+	RUNNING: "running",
+	PAUSED: "paused",
+};
+
+// The backfill loop of the open chat, with the stop requested by pause or cancel and the message being generated
+let activeRun = null;
+let progressToast = null;
+// The chat generation in progress, the backfill waits for it to end before generating the next tracker
+let chatGeneration = null;
+
+/**
+ * Returns the backfill job of the open chat, saved in the chat metadata so it survives a page reload.
+ * @returns {{from: number, to: number, next: number, overwrite: boolean, staleOnly: boolean, status: string, generated: number, failed: number[]}|null}
+ */
+export function getBackfillState() {
+	return chat_metadata.tracker?.backfill ?? null;
+}
+
+/**
+ * Starts a backfill job generating the trackers of a message range in order, each chained from the tracker before it.
+ * Messages that already have a tracker are skipped unless `overwrite` is set.
+ * @param {number|null} from - First message of the range, the first message of the chat if null.
+ * @param {number|null} to - Last message of the range, the last message of the chat if null.
+ * @param {boolean} [overwrite=false] - Whether to regenerate existing trackers.
+ * @param {boolean} [staleOnly=false] - Whether to regenerate only the trackers marked stale, and nothing else.
+ * @returns {Promise<Object>} - The backfill job once it stops.
+ */
+export async function startBackfill(from = null, to = null, overwrite = false, staleOnly = false) {
+	from = from ?? 0;
+	to = to ?? chat.length - 1;
+	if (getBackfillState()) {
+		throw new Error("A tracker backfill is already in progress in this chat. Resume or cancel it first.");
+	}
+	if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || to >= chat.length || from > to) {
+		throw new Error(`Invalid backfill range ${from} to ${to}. Messages range from 0 to ${chat.length - 1}.`);
+	}
+
+	if (!chat_metadata.tracker) chat_metadata.tracker = {};
+	chat_metadata.tracker.backfill = { from, to, next: from, overwrite, staleOnly, status: BACKFILL_STATUS.RUNNING, generated: 0, failed: [] };
+	await saveChatConditional();
+
+	log("Starting tracker backfill:", chat_metadata.tracker.backfill);
+	return await runBackfill();
+}
+
+/**
+ * Resumes the paused or interrupted backfill job of the open chat.
+ * @returns {Promise<Object>} - The backfill job once it stops.
+ */
+export async function resumeBackfill() {
+	const state = getBackfillState();
+	if (!state) throw new Error("There is no tracker backfill to resume in this chat.");
+	if (activeRun) return state;
+
+	state.status = BACKFILL_STATUS.RUNNING;
+	await saveChatConditional();
+	return await runBackfill();
+}
+
+/**
+ * Pauses the backfill job of the open chat once the tracker being generated is saved.
+ */
+export async function pauseBackfill() {
+	const state = getBackfillState();
+	if (!state) throw new Error("There is no tracker backfill to pause in this chat.");
+
+	if (activeRun) {
+		activeRun.stopRequested = BACKFILL_STATUS.PAUSED;
+	} else {
+		state.status = BACKFILL_STATUS.PAUSED;
+		await saveChatConditional();
+		updateBackfillStatus();
+	}
+}
+
+/**
+ * Cancels the backfill job of the open chat. Trackers generated so far are kept.
+ */
+export async function cancelBackfill() {
+	if (!getBackfillState()) throw new Error("There is no tracker backfill to cancel in this chat.");
+
+	if (activeRun) {
+		activeRun.stopRequested = "cancelled";
+	} else {
+		delete chat_metadata.tracker.backfill;
+		await saveChatConditional();
+		updateBackfillStatus();
+	}
+}
+
+/**
+ * Continues a backfill job that was running when the chat was closed or the page reloaded.
+ */
+export function resumeInterruptedBackfill() {
+	updateBackfillStatus();
+
+	const state = getBackfillState();
+	if (!state || state.status !== BACKFILL_STATUS.RUNNING || activeRun) return;
+
+	toastr.info(`Resuming tracker backfill at message ${state.next}.`);
+	runBackfill().catch((e) => warn("Tracker backfill failed:", e));
+}
+
+/**
+ * Generates the trackers of the backfill job until it's done, paused, cancelled or the chat changes.
+ * Progress is saved after every message. While a chat generation runs, the next tracker waits for it to end.
+ * @returns {Promise<Object>} - The backfill job.
+ */
+async function runBackfill() {
+	const state = getBackfillState();
+	const run = { chatId: getCurrentChatId(), stopRequested: null, step: null };
+	activeRun = run;
+	const chatChanged = () => getCurrentChatId() !== run.chatId;
+
+	try {
+		while (state.next <= state.to && !run.stopRequested && !chatChanged()) {
+			if (chatGeneration) {
+				debug("Tracker backfill waiting for the chat generation to end.");
+				await chatGeneration.ended;
+				continue;
+			}
+
+			const mesId = state.next;
+			updateBackfillStatus(state);
+
+			run.step = backfillMessage(state, mesId, chatChanged);
+			await run.step;
+			run.step = null;
+			if (chatChanged()) break;
+
+			state.next = mesId + 1;
+			await saveChatConditional();
+		}
+	} finally {
+		activeRun = null;
+	}
+
+	// The job stays saved in the chat it belongs to and continues when that chat is opened again
+	if (chatChanged()) {
+		clearProgressToast();
+		resumeInterruptedBackfill();
+		return state;
+	}
+
+	if (run.stopRequested === BACKFILL_STATUS.PAUSED) {
+		state.status = BACKFILL_STATUS.PAUSED;
+		toastr.info(`Tracker backfill paused at message ${state.next}.`);
+	} else {
+		delete chat_metadata.tracker.backfill;
+		const failed = state.failed.length > 0 ? ` Failed messages: ${state.failed.join(", ")}.` : "";
+		if (run.stopRequested) toastr.info(`Tracker backfill cancelled after ${state.generated} trackers.${failed}`);
+		else toastr.success(`Tracker backfill done, ${state.generated} trackers generated.${failed}`);
+	}
+	await saveChatConditional();
+
+	log("Tracker backfill stopped:", state);
+	clearProgressToast();
+	updateBackfillStatus();
+	return state;
+}
+
+/**
+ * Generates the tracker of one message of the backfill job, if it needs one.
+ * Failures are recorded in the job, the tracker is dropped if the chat changed while it was generated.
+ * @param {Object} state - The backfill job.
+ * @param {number} mesId - The message ID.
+ * @param {Function} chatChanged - Whether the chat the job belongs to was closed.
+ */
+async function backfillMessage(state, mesId, chatChanged) {
+	const previousMesId = getPreviousNonSystemMessageIndex(mesId);
+	const hasTracker = chat[mesId]?.tracker && Object.keys(chat[mesId].tracker).length !== 0;
+	const shouldGenerate = state.staleOnly ? chat[mesId]?.tracker?._stale === true : (state.overwrite || !hasTracker) && shouldGenerateTracker(mesId, undefined);
+	if (previousMesId === -1 || !shouldGenerate) return;
+
+	try {
+		debug("Backfilling tracker for message:", mesId);
+		const tracker = await generateTracker(previousMesId);
+		if (chatChanged()) return;
+		if (tracker) {
+			setMessageTracker(mesId, tracker);
+			state.generated++;
+			TrackerPreviewManager.updatePreview(mesId);
+		} else {
+			state.failed.push(mesId);
+		}
+	} catch (e) {
+		if (chatChanged()) return;
+		warn(`Failed to backfill tracker for message ${mesId}:`, e);
+		state.failed.push(mesId);
+	}
+}
+
+/**
+ * Holds the backfill while a chat generation runs, as both would share the connection profile and the structured output
+ * constraint. Resolves once the tracker being backfilled, if any, is saved.
+ */
+export async function holdBackfill() {
+	if (!chatGeneration) {
+		let release;
+		const ended = new Promise((resolve) => (release = resolve));
+		chatGeneration = { ended, release };
+	}
+	if (activeRun?.step) {
+		log("Waiting for the tracker backfill step before the chat generation.");
+		await activeRun.step;
+	}
+}
+
+/**
+ * Lets the backfill continue once the chat generation ended or was stopped.
+ */
+export function releaseBackfill() {
+	chatGeneration?.release();
+	chatGeneration = null;
+}
+
+/**
+ * Shows the progress of the backfill job in the settings panel and in a toast while it runs.
+ * @param {Object} [state] - The backfill job, the one of the open chat by default.
+ */
+export function updateBackfillStatus(state = getBackfillState()) {
+	let status = "";
+	if (state) {
+		const done = state.next - state.from;
+		const total = state.to - state.from + 1;
+		const progress = `${done} of ${total} messages (${state.from} to ${state.to}), ${state.generated} trackers generated`;
+		status = state.status === BACKFILL_STATUS.PAUSED || !activeRun ? `Paused: ${progress}.` : `Running: ${progress}.`;
+
+		if (activeRun) {
+			const message = `Tracker backfill: message ${state.next}, ${done} of ${total} done.`;
+			if (progressToast) progressToast.find(".toast-message").text(message);
+			else progressToast = toastr.info(message, "", { timeOut: 0, extendedTimeOut: 0, tapToDismiss: false });
+		}
+	}
+
+	$("#tracker_backfill_status").text(status);
+	$("#tracker_backfill_pause").val(state && (state.status === BACKFILL_STATUS.PAUSED || !activeRun) ? "Resume" : "Pause");
+}
+
+function clearProgressToast() {
+	if (progressToast) toastr.clear(progressToast);
+	progressToast = null;
+}
@@ -1,8 +1,11 @@
 import { debug, getLastNonSystemMessageIndex, getPreviousNonSystemMessageIndex } from "../lib/utils.js";
 import { saveChatConditional, chat, chat_metadata } from "../../../../../script.js";
-import { generateTracker } from "./generation.js";
-import { FIELD_INCLUDE_OPTIONS, getTracker, OUTPUT_FORMATS } from "./trackerDataHandler.js";
+import { buildTrackerPrompts, generateTracker } from "./generation.js";
+import { FIELD_INCLUDE_OPTIONS, getTracker, OUTPUT_FORMATS, setMessageTracker, validateTracker } from "./trackerDataHandler.js";
 import { TrackerPreviewManager } from "./ui/trackerPreviewManager.js";
+import { TrackerPromptPreviewModal } from "./ui/trackerPromptPreviewModal.js";
+import { cancelBackfill, getBackfillState, pauseBackfill, resumeBackfill, startBackfill } from "./backfill.js";
+import { parseFieldList, setSceneBoundary } from "./sceneBoundaries.js";
 import { extensionSettings } from "../index.js";
 
 export async function generateTrackerCommand(args, value){
@@ -65,7 +68,7 @@ export async function saveTrackerToMessageCommand(args, value){
         throw new Error(`Invalid tracker object provided.`);
     }
 
-    chat[mesId].tracker = tracker;
+    setMessageTracker(mesId, tracker);
     await saveChatConditional();
     TrackerPreviewManager.updatePreview(mesId);
 
@@ -88,4 +91,105 @@ export async function getTrackerCommand(args, value){
     const tracker = getTracker(trackerRaw, extensionSettings.trackerDef, FIELD_INCLUDE_OPTIONS.ALL, true, OUTPUT_FORMATS.JSON);
 
     return JSON.stringify(tracker);
-}
\ No newline at end of file
+}
+
+export async function validateTrackerCommand(args, value){
+    const mesId = args?.message ?? getLastNonSystemMessageIndex();
+    const trackerString = args?.tracker;
+
+    let tracker;
+    if (trackerString) {
+        tracker = trackerString;
+    } else {
+        if (!mesId) {
+            throw new Error(`No valid message found to validate a tracker.`);
+        }
+
+        tracker = chat[mesId]?.tracker;
+
+        if (!tracker) {
+            throw new Error(`No tracker found for message ${mesId}.`);
+        }
+    }
+
+    const problems = validateTracker(tracker, extensionSettings.trackerDef);
+    debug("Tracker validation result", { mesId, problems });
+
+    return JSON.stringify(problems);
+}
+
+export async function trackerPromptCommand(args, value){
+    const mesId = args?.message ?? getLastNonSystemMessageIndex();
+
+    if (!mesId) {
+        throw new Error(`No valid message found to preview the tracker prompt.`);
+    }
+
+    let include = args?.include ? args.include.toUpperCase() : null;
+    if(!include || !Object.keys(FIELD_INCLUDE_OPTIONS).includes(include)) include = 'DYNAMIC';
+
+    const previousMesId = getPreviousNonSystemMessageIndex(mesId);
+    if (previousMesId === -1) {
+        throw new Error(`No valid message found before message ${mesId} to preview the tracker prompt.`);
+    }
+
+    const stages = await buildTrackerPrompts(previousMesId, FIELD_INCLUDE_OPTIONS[include]);
+    if (args?.popup !== 'false') new TrackerPromptPreviewModal().show(mesId, stages);
+
+    return JSON.stringify(stages);
+}
+
+export async function trackerBackfillCommand(args, value){
+    const action = (args?.action || 'start').toLowerCase();
+    const wait = args?.await === 'true';
+
+    let job;
+    switch (action) {
+        case 'start': {
+            const from = args?.from !== undefined && args.from !== '' ? parseInt(args.from) : null;
+            const to = args?.to !== undefined && args.to !== '' ? parseInt(args.to) : null;
+            job = startBackfill(from, to, args?.overwrite === 'true');
+            break;
+        }
+        case 'resume':
+            job = resumeBackfill();
+            break;
+        case 'pause':
+            await pauseBackfill();
+            break;
+        case 'cancel':
+            await cancelBackfill();
+            break;
+        case 'status':
+            break;
+        default:
+            throw new Error(`Unknown backfill action "${action}".`);
+    }
+
+    if (job) {
+        if (wait) return JSON.stringify(await job);
+
+        // Invalid ranges reject before the backfill starts, so they still fail the command; the backfill keeps running in the background
+        await Promise.race([job, Promise.resolve()]);
+        job.catch((e) => toastr.error(`Tracker backfill failed: ${e.message}`));
+    }
+
+    return JSON.stringify(getBackfillState());
+}
+
+export async function trackerSceneCommand(args, value){
+    const mesId = args?.message !== undefined && args.message !== '' ? parseInt(args.message) : getLastNonSystemMessageIndex();
+
+    if (isNaN(mesId) || mesId < 0 || !chat[mesId]) {
+        throw new Error(`No valid message found to start a scene at.`);
+    }
+
+    if (args?.remove === 'true') {
+        await setSceneBoundary(mesId, null);
+        return '';
+    }
+
+    const boundary = await setSceneBoundary(mesId, { fields: parseFieldList(args?.fields), reset: args?.reset || undefined });
+    debug("Scene boundary set from command", { mesId, boundary });
+    return JSON.stringify(boundary);
+}
@@ -0,0 +1,52 @@
+import { extension_settings } from "../../../../extensions.js";
+import { executeSlashCommandsWithOptions } from "../../../../slash-commands.js";
+import { debug, warn } from "../lib/utils.js";
+
+/**
+ * Returns the names of the connection profiles saved in the Connection Manager.
+ * @returns {string[]} - The profile names, empty if the Connection Manager is not available.
+ */
+export function getConnectionProfileNames() {
+	return (extension_settings.connectionManager?.profiles || []).map((profile) => profile.name);
+}
+
+/**
+ * Runs a generation request with the given connection profile selected, restoring the previous profile afterwards.
+ * Without a profile, or if it can't be switched to and back safely, the request uses the current connection.
+ * @param {string} profileName - Name of the connection profile, empty to use the current connection.
+ * @param {Function} request - Async function sending the generation request.
+ * @returns {Promise<*>} - The result of the request.
+ */
+export async function withConnectionProfile(profileName, request) {
+	if (!profileName) return await request();
+
+	const connectionManager = extension_settings.connectionManager;
+	if (!connectionManager?.profiles) {
+		warn("Connection profiles are not available, using the current connection for tracker generation.");
+		return await request();
+	}
+	if (!connectionManager.profiles.some((profile) => profile.name === profileName)) {
+		warn(`Connection profile "${profileName}" not found, using the current connection for tracker generation.`);
+		return await request();
+	}
+
+	const previousProfileName = connectionManager.profiles.find((profile) => profile.id === connectionManager.selectedProfile)?.name;
+	if (previousProfileName === profileName) return await request();
+	if (!previousProfileName) {
+		// The connection could not be restored afterwards, leaving the user on the tracker profile
+		warn("No connection profile is selected for chat, using the current connection for tracker generation.");
+		return await request();
+	}
+
+	await selectConnectionProfile(profileName);
+	try {
+		return await request();
+	} finally {
+		await selectConnectionProfile(previousProfileName);
+	}
+}
+
+async function selectConnectionProfile(profileName) {
+	debug("Selecting connection profile:", profileName);
+	await executeSlashCommandsWithOptions(`/profile await=true "${profileName.replace(/(["\\])/g, "\\$1")}"`, { handleParserErrors: true, handleExecutionErrors: true });
+}
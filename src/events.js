@@ -2,12 +2,16 @@ import { chat } from "../../../../../script.js";
 import { selected_group, is_group_generating } from "../../../../../scripts/group-chats.js";
 import { debug, getLastNonSystemMessageIndex, log } from "../lib/utils.js";
 import { isEnabled } from "./settings/settings.js";
-import { prepareMessageGeneration, addTrackerToMessage, clearInjects } from "./tracker.js";
+import { prepareMessageGeneration, addTrackerToMessage, clearInjects, switchSwipeTracker } from "./tracker.js";
 import { releaseGeneration } from "../lib/interconnection.js";
-import { FIELD_INCLUDE_OPTIONS, getTracker, OUTPUT_FORMATS, saveTracker } from "./trackerDataHandler.js";
+import { FIELD_INCLUDE_OPTIONS, getTracker, OUTPUT_FORMATS, saveTracker, storeSwipeTracker } from "./trackerDataHandler.js";
 import { TrackerInterface } from "./ui/trackerInterface.js";
 import { extensionSettings } from "../index.js";
 import { TrackerPreviewManager } from "./ui/trackerPreviewManager.js";
+import { stampChatTrackerDefVersion } from "./trackerMigration.js";
+import { holdBackfill, releaseBackfill, resumeInterruptedBackfill } from "./backfill.js";
+import { abortTrackerGeneration } from "./generation.js";
+import { refreshStaleTrackers } from "./staleTrackers.js";
 
 /**
  * Event handler for when the chat changes.
@@ -16,9 +20,13 @@ import { TrackerPreviewManager } from "./ui/trackerPreviewManager.js";
 async function onChatChanged(args) {
 	if (!await isEnabled()) return;
 	log("Chat changed:", args);
+	stampChatTrackerDefVersion();
 	updateTrackerUI();
 	//TrackerPreviewManager.init();
 	releaseGeneration();
+	releaseBackfill();
+	resumeInterruptedBackfill();
+	await refreshStaleTrackers();
 }
 
 /**
@@ -31,8 +39,11 @@ async function onGenerateAfterCommands(type, options, dryRun) {
 	await clearInjects();
 	if (!await isEnabled() || chat.length == 0 || (selected_group && !is_group_generating) || (typeof type != "undefined" && !["continue", "swipe", "regenerate", "impersonate", "group_chat"].includes(type))) return;
 	log("GENERATION_AFTER_COMMANDS ", [type, options, dryRun]);
-	await prepareMessageGeneration(type, options, dryRun);
-	releaseGeneration();
+	try {
+		await prepareMessageGeneration(type, options, dryRun);
+	} finally {
+		releaseGeneration();
+	}
 }
 
 /**
@@ -42,8 +53,11 @@ async function onGenerateAfterCommands(type, options, dryRun) {
 async function onMessageReceived(mesId) {
 	if (!await isEnabled() || !chat[mesId] || (chat[mesId].tracker && Object.keys(chat[mesId].tracker).length !== 0)) return;
 	log("MESSAGE_RECEIVED", mesId);
-	await addTrackerToMessage(mesId);
-	releaseGeneration();
+	try {
+		await addTrackerToMessage(mesId);
+	} finally {
+		releaseGeneration();
+	}
 }
 
 /**
@@ -53,18 +67,29 @@ async function onMessageReceived(mesId) {
 async function onMessageSent(mesId) {
 	if (!await isEnabled() || !chat[mesId] || (chat[mesId].tracker && Object.keys(chat[mesId].tracker).length !== 0)) return;
 	log("MESSAGE_SENT", mesId);
-	await addTrackerToMessage(mesId);
-	releaseGeneration();
+	try {
+		await addTrackerToMessage(mesId);
+	} finally {
+		releaseGeneration();
+	}
 }
 
 /**
  * Event handler for when a character's message is rendered.
  */
 async function onCharacterMessageRendered(mesId) {
-	if (!await isEnabled() || !chat[mesId] || (chat[mesId].tracker && Object.keys(chat[mesId].tracker).length !== 0)) return;
+	if (!await isEnabled() || !chat[mesId]) return;
+	if (chat[mesId].tracker && Object.keys(chat[mesId].tracker).length !== 0) {
+		// A new swipe kept the tracker of the message, store it with the swipe now that it is saved
+		storeSwipeTracker(mesId);
+		return;
+	}
 	log("CHARACTER_MESSAGE_RENDERED");
-	await addTrackerToMessage(mesId);
-	releaseGeneration();
+	try {
+		await addTrackerToMessage(mesId);
+	} finally {
+		releaseGeneration();
+	}
 	updateTrackerUI();
 }
 
@@ -74,11 +99,72 @@ async function onCharacterMessageRendered(mesId) {
 async function onUserMessageRendered(mesId) {
 	if (!await isEnabled() || !chat[mesId] || (chat[mesId].tracker && Object.keys(chat[mesId].tracker).length !== 0)) return;
 	log("USER_MESSAGE_RENDERED");
-	await addTrackerToMessage(mesId);
-	releaseGeneration();
+	try {
+		await addTrackerToMessage(mesId);
+	} finally {
+		releaseGeneration();
+	}
 	updateTrackerUI();
 }
 
+/**
+ * Event handler for when a message is swiped, switching to the tracker of the new swipe.
+ * @param {number} mesId - The message ID.
+ */
+async function onMessageSwiped(mesId) {
+	if (!await isEnabled() || !chat[mesId]) return;
+	log("MESSAGE_SWIPED", mesId);
+	await switchSwipeTracker(mesId);
+	updateTrackerUI();
+	await refreshStaleTrackers();
+}
+
+/**
+ * Event handler for when a message is edited, marking the trackers generated from it as stale.
+ * @param {number} mesId - The message ID.
+ */
+async function onMessageEdited(mesId) {
+	if (!await isEnabled()) return;
+	log("MESSAGE_EDITED", mesId);
+	await refreshStaleTrackers();
+}
+
+/**
+ * Event handler for when a message is deleted, marking the trackers that were generated from it as stale.
+ * @param {number} chatLength - The number of messages left in the chat.
+ */
+async function onMessageDeleted(chatLength) {
+	if (!await isEnabled()) return;
+	log("MESSAGE_DELETED", chatLength);
+	await refreshStaleTrackers();
+}
+
+/**
+ * Event handler for when a chat generation starts, holding the tracker backfill until it ends.
+ * @param {string} type - The type of generation.
+ * @param {object} options - Generation options.
+ * @param {boolean} dryRun - Whether it's a dry run.
+ */
+async function onGenerationStarted(type, options, dryRun) {
+	if (dryRun) return;
+	await holdBackfill();
+}
+
+/**
+ * Event handler for when a chat generation ends, letting the tracker backfill continue.
+ */
+function onGenerationEnded() {
+	releaseBackfill();
+}
+
+/**
+ * Event handler for when the stop button is pressed, cancelling any running tracker generation.
+ */
+function onGenerationStopped() {
+	abortTrackerGeneration();
+	releaseBackfill();
+}
+
 async function generateAfterCombinePrompts(prompt) {
 	debug("GENERATE_AFTER_COMBINE_PROMPTS", {prompt});
 }
@@ -90,6 +176,12 @@ export const eventHandlers = {
 	onMessageSent,
 	onCharacterMessageRendered,
 	onUserMessageRendered,
+	onMessageSwiped,
+	onMessageEdited,
+	onMessageDeleted,
+	onGenerationStarted,
+	onGenerationEnded,
+	onGenerationStopped,
 	generateAfterCombinePrompts
 };
 
@@ -0,0 +1,95 @@
+import { chat, chat_metadata, saveChatConditional } from "../../../../../script.js";
+import { debug, getNextNonSystemMessageIndex } from "../lib/utils.js";
+import { storeSwipeTracker } from "./trackerDataHandler.js";
+import { TrackerPreviewManager } from "./ui/trackerPreviewManager.js";
+
+export const LOCK_LEVELS = {
+	MESSAGE: "message",
+	CHAT: "chat",
+};
+
+/**
+ * Returns the names of the fields locked for every tracker of the open chat.
+ * @returns {string[]}
+ */
+export function getChatLockedFields() {
+	return chat_metadata.tracker?.lockedFields ?? [];
+}
+
+/**
+ * Returns the names of the fields locked in the tracker of a message. The lock applies from that tracker on,
+ * trackers generated from it keep the values and the lock.
+ * @param {number} mesId - The message ID.
+ * @returns {string[]}
+ */
+export function getMessageLockedFields(mesId) {
+	const locked = chat[mesId]?.tracker?._locked;
+	return Array.isArray(locked) ? locked : [];
+}
+
+/**
+ * Returns how a field of a message's tracker is locked.
+ * @param {number} mesId - The message ID.
+ * @param {string} fieldName - The name of the top-level field.
+ * @returns {string|null} - The lock level, the chat level if both apply, or null if the field isn't locked.
+ */
+export function getFieldLock(mesId, fieldName) {
+	if (getChatLockedFields().includes(fieldName)) return LOCK_LEVELS.CHAT;
+	if (getMessageLockedFields(mesId).includes(fieldName)) return LOCK_LEVELS.MESSAGE;
+	return null;
+}
+
+/**
+ * Locks or unlocks a field, for the tracker of a message or for the whole chat.
+ * @param {number} mesId - The message ID.
+ * @param {string} fieldName - The name of the top-level field.
+ * @param {string|null} level - The lock level, null to unlock the field in the message and the chat.
+ */
+export async function setFieldLock(mesId, fieldName, level) {
+	const tracker = chat[mesId]?.tracker;
+	if (level === LOCK_LEVELS.MESSAGE && (!tracker || Object.keys(tracker).length === 0)) {
+		throw new Error(`Message ${mesId} has no tracker to lock fields in.`);
+	}
+
+	if (!chat_metadata.tracker) chat_metadata.tracker = {};
+	const chatLocked = getChatLockedFields().filter((name) => name !== fieldName);
+	if (level === LOCK_LEVELS.CHAT) chatLocked.push(fieldName);
+	chat_metadata.tracker.lockedFields = chatLocked;
+
+	if (tracker && Object.keys(tracker).length !== 0) {
+		const messageLocked = getMessageLockedFields(mesId).filter((name) => name !== fieldName);
+		if (level === LOCK_LEVELS.MESSAGE) messageLocked.push(fieldName);
+		if (messageLocked.length > 0) tracker._locked = messageLocked;
+		else delete tracker._locked;
+		storeSwipeTracker(mesId);
+	}
+
+	debug("Set field lock:", { mesId, fieldName, level });
+	await saveChatConditional();
+	TrackerPreviewManager.updatePreview(mesId);
+}
+
+/**
+ * Returns the locks applying to the tracker generated from a message: the fields locked in the chat, those locked in
+ * the tracker the prompt shows as current, and when it replaces an existing tracker, those locked in that tracker.
+ * Locked values are carried forward from the current tracker, or kept from the tracker it replaces.
+ * @param {number} mesNum - The message the tracker is generated from.
+ * @returns {{fields: string[], messageFields: string[], values: Object}} - All locked fields, the message locks the new tracker keeps,
+ * and the values the locked fields keep.
+ */
+export function getGenerationLocks(mesNum) {
+	const currentMesId = chat.slice(0, mesNum + 1).findLastIndex((mes) => mes.tracker && Object.keys(mes.tracker).length !== 0);
+	const targetMesId = getNextNonSystemMessageIndex(mesNum);
+
+	const messageFields = [...new Set([...getMessageLockedFields(currentMesId), ...getMessageLockedFields(targetMesId)])];
+	const fields = [...new Set([...getChatLockedFields(), ...messageFields])];
+
+	const values = {};
+	for (const tracker of [chat[currentMesId]?.tracker ?? {}, chat[targetMesId]?.tracker ?? {}]) {
+		for (const name of fields) {
+			if (Object.hasOwn(tracker, name)) values[name] = tracker[name];
+		}
+	}
+
+	return { fields, messageFields, values };
+}
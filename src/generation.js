@@ -1,86 +1,268 @@
-import { generateRaw, chat, characters, this_chid, getCharacterCardFields, name1 } from "../../../../../script.js";
+import { generateRaw, chat, characters, this_chid, getCharacterCardFields, name1, substituteParams } from "../../../../../script.js";
+import { getTokenCountAsync } from "../../../../tokenizers.js";
 import { groups, selected_group } from "../../../../../scripts/group-chats.js";
 import { log, warn, debug, error, unescapeJsonString } from "../lib/utils.js";
-import { yamlToJSON } from "../lib/ymlParser.js";
+import { parseTrackerResponse } from "../lib/responseParser.js";
+import { renderTemplate } from "../lib/templateEngine.js";
 import { extensionSettings } from "../index.js";
-import { generationModes } from "./settings/settings.js";
-import { FIELD_INCLUDE_OPTIONS, getDefaultTracker, getExampleTrackers as getExampleTrackersFromDef, getTracker, getTrackerPrompt, OUTPUT_FORMATS, updateTracker } from "./trackerDataHandler.js";
+import { jsonToYAML } from "../lib/ymlParser.js";
+import { generationModes, trackerOutputModes } from "./settings/settings.js";
+import { applyTrackerPatch, FIELD_INCLUDE_OPTIONS, getDefaultTracker, getExampleTrackers as getExampleTrackersFromDef, getTracker, getTrackerPatch, getTrackerPrompt, mergeTrackerSamples, OUTPUT_FORMATS, shouldIncludeField, stampTrackerSource, updateTracker, validateTracker } from "./trackerDataHandler.js";
 import { trackerFormat } from "./settings/defaultSettings.js";
+import { getStructuredOutputSchema, withStructuredOutput } from "./structuredOutput.js";
+import { withConnectionProfile } from "./connectionProfiles.js";
+import { getGenerationLocks } from "./fieldLocks.js";
+import { getSceneStart, getSceneStartTracker } from "./sceneBoundaries.js";
 
 // #region Utility Functions
 
 /**
- * Replaces `{{key}}` placeholders in a template string with provided values.
+ * Renders a prompt template with the template engine used for the message tracker HTML,
+ * supporting `{{key}}` variables, `{{#if}}`, `{{#foreach}}` and `{{#join}}`.
+ * Placeholders that aren't template variables are resolved as SillyTavern macros, e.g. `{{user}}` or `{{getvar::x}}`.
+ * Variable values are inserted as they are, so macros in messages or trackers aren't expanded.
+ * A template that can't be parsed, e.g. with an unclosed `{{#if}}`, is returned as it is.
  * @param {string} template - The template string containing placeholders.
- * @param {Object} vars - An object of key-value pairs to replace in the template.
- * @returns {string} The processed template with all placeholders replaced.
+ * @param {Object} vars - The template variables.
+ * @returns {string} The rendered template.
  */
 function formatTemplate(template, vars) {
-	let result = template;
-	for (const [key, value] of Object.entries(vars)) {
-		const regex = new RegExp(`{{${key}}}`, "g");
-		result = result.replace(regex, value != null ? value : "");
+	try {
+		return renderTemplate(template, vars, { resolveMacro: (macro) => substituteParams(macro) });
+	} catch (e) {
+		warn("Failed to render prompt template, using it as it is:", e.message);
+		return template;
 	}
-	return result;
 }
 
 /**
- * Handles conditional sections like `{{#if tracker}}...{{/if}}`.
- * If condition is true, keeps the content inside. Otherwise, removes it.
- * @param {string} template - The template with conditional blocks.
- * @param {string} sectionName - The name used after `#if`.
- * @param {boolean} condition - Whether to keep the content.
- * @param {string} content - The content to insert if condition is true.
- * @returns {string} The processed template.
+ * Lists the tracker fields for prompt templates, e.g. for `{{#foreach trackerFields field}}{{field.name}}: {{field.prompt}}{{/foreach}}`.
+ * Nested fields are listed the same way in `nestedFields`.
+ * @param {Object} fields - The tracker definition fields.
+ * @param {string} includedFields - Which fields to include.
+ * @returns {Object[]} The included fields.
  */
-function conditionalSection(template, sectionName, condition, content) {
-	const sectionRegex = new RegExp(`{{#if ${sectionName}}}([\\s\\S]*?){{\\/if}}`, "g");
-	if (condition) {
-		return template.replace(sectionRegex, content);
-	} else {
-		return template.replace(sectionRegex, "");
+function getTemplateFields(fields, includedFields) {
+	return Object.values(fields || {})
+		.filter((field) => shouldIncludeField(field, includedFields))
+		.map((field) => ({ ...field, nestedFields: getTemplateFields(field.nestedFields, includedFields) }));
+}
+
+/**
+ * Whether the model returns only the changed fields, applied to the previous tracker, instead of the full tracker.
+ * @returns {boolean}
+ */
+function isPatchOutput() {
+	return extensionSettings.trackerOutputMode === trackerOutputModes.PATCH;
+}
+
+/**
+ * Sends a raw generation request that stops waiting for the response once the signal is aborted.
+ * The backend may still finish the request, its response is ignored.
+ * @param {AbortSignal|null} signal
+ * @param {string} prompt
+ * @param {string} systemPrompt
+ * @param {number|null} responseLength
+ * @returns {Promise<string>} The response.
+ * @throws The abort reason if the signal is aborted first.
+ */
+async function generateRawAbortable(signal, prompt, systemPrompt, responseLength) {
+	if (!signal) return await generateRaw(prompt, null, false, false, systemPrompt, responseLength);
+	signal.throwIfAborted();
+
+	let onAbort;
+	const aborted = new Promise((resolve, reject) => {
+		onAbort = () => reject(signal.reason);
+		signal.addEventListener("abort", onAbort, { once: true });
+	});
+	try {
+		return await Promise.race([generateRaw(prompt, null, false, false, systemPrompt, responseLength), aborted]);
+	} finally {
+		signal.removeEventListener("abort", onAbort);
 	}
 }
 
 // #endregion
 
+// #region Cancellation
+
+export const GENERATION_ABORT_REASONS = {
+	CANCELLED: "cancelled",
+	TIMEOUT: "timeout",
+};
+
+// Controllers of the tracker generations in progress
+const generationControllers = new Set();
+
+/**
+ * Cancels every tracker generation in progress. They resolve to null and their responses are ignored.
+ * @param {string} [reason] - One of `GENERATION_ABORT_REASONS`.
+ */
+export function abortTrackerGeneration(reason = GENERATION_ABORT_REASONS.CANCELLED) {
+	if (generationControllers.size === 0) return;
+	log("Cancelling tracker generation:", reason);
+	generationControllers.forEach((controller) => controller.abort(reason));
+}
+
+// #endregion
+
 /**
  * Generates a new tracker for a given message number.
+ * With `generationSamples` above 1, that many trackers are generated and merged field by field, recording the agreement
+ * of the samples on each field in the tracker's `_confidence`. The tracker's `_source` records the message it was generated from.
+ * Locked fields are left out of the prompt and keep their values.
+ * The generation is cancelled by `abortTrackerGeneration` or once `generationTimeout` seconds have passed.
  * @param {number} mesNum - The message number.
  * @param {string} includedFields - Which fields to include in the tracker.
- * @returns {object|null} The new tracker object or null if failed.
+ * @returns {object|null} The new tracker object or null if failed, cancelled or timed out.
  */
 export async function generateTracker(mesNum, includedFields = FIELD_INCLUDE_OPTIONS.DYNAMIC) {
 	if (mesNum == null || mesNum < 0 || chat[mesNum].extra?.isSmallSys) return null;
 
-	let tracker;
-	if (extensionSettings.generationMode == generationModes.TWO_STAGE) tracker = await generateTwoStageTracker(mesNum, includedFields);
-	else tracker = await generateSingleStageTracker(mesNum, includedFields);
+	// The new tracker builds on the last tracker before the message, locked fields keep their values
+	const locks = getGenerationLocks(mesNum);
+	const lastTracker = { ...getLastTracker(mesNum, false), ...locks.values };
+	// A patch lists the changes from the tracker the prompt shows as current
+	const currentTracker = { ...getLastTracker(mesNum), ...locks.values };
+
+	const controller = new AbortController();
+	const timeoutSeconds = extensionSettings.generationTimeout;
+	const timeout = timeoutSeconds > 0 ? setTimeout(() => controller.abort(GENERATION_ABORT_REASONS.TIMEOUT), timeoutSeconds * 1000) : null;
+	generationControllers.add(controller);
+
+	const sampleCount = Math.max(1, Math.floor(extensionSettings.generationSamples || 1));
+	const samples = [];
+	try {
+		for (let sample = 1; sample <= sampleCount; sample++) {
+			let sampleTracker;
+			if (extensionSettings.generationMode == generationModes.TWO_STAGE) sampleTracker = await generateTwoStageTracker(mesNum, includedFields, controller.signal);
+			else if (extensionSettings.generationMode == generationModes.PIPELINE) sampleTracker = await generatePipelineTracker(mesNum, includedFields, controller.signal);
+			else sampleTracker = await generateSingleStageTracker(mesNum, includedFields, null, controller.signal);
+
+			if (sampleTracker && isPatchOutput()) {
+				debug("Applying tracker patch:", { patch: sampleTracker, currentTracker });
+				sampleTracker = applyTrackerPatch(currentTracker, sampleTracker, extensionSettings.trackerDef);
+			}
+			if (sampleTracker) samples.push(sampleTracker);
+		}
+	} catch (e) {
+		if (!controller.signal.aborted) throw e;
+
+		if (controller.signal.reason === GENERATION_ABORT_REASONS.TIMEOUT) {
+			warn(`Tracker generation timed out after ${timeoutSeconds} seconds.`);
+			toastr.warning(`Tracker generation timed out after ${timeoutSeconds} seconds.`);
+		} else {
+			log("Tracker generation cancelled.");
+			toastr.info("Tracker generation cancelled.");
+		}
+		return null;
+	} finally {
+		clearTimeout(timeout);
+		generationControllers.delete(controller);
+	}
+
+	// The failed attempts were logged with their responses by sendGenerateTrackerRequest
+	if (samples.length === 0) {
+		warn("No generated tracker could be parsed.");
+		toastr.error("Failed to parse the generated tracker. The responses are logged in the console.");
+		return null;
+	}
+
+	let tracker = samples[0];
+	let confidence = null;
+	if (samples.length > 1) {
+		({ tracker, confidence } = mergeTrackerSamples(samples, extensionSettings.trackerDef, extensionSettings.sampleAgreementThreshold));
+		debug("Merged tracker samples:", { samples, tracker, confidence });
+	}
+
+	const problems = validateTracker(tracker, extensionSettings.trackerDef, includedFields);
+	if (problems.length > 0) debug("Generated tracker does not match the tracker definition:", problems);
 
-	const lastMesWithTracker = chat
-		.slice(0, mesNum)
-		.filter((mes) => mes.tracker && Object.keys(mes.tracker).length !== 0)
-		.pop();
-	let lastTracker = lastMesWithTracker ? lastMesWithTracker.tracker : getDefaultTracker(extensionSettings.trackerDef, FIELD_INCLUDE_OPTIONS.ALL, OUTPUT_FORMATS.JSON);
-	return updateTracker(lastTracker, tracker, extensionSettings.trackerDef, FIELD_INCLUDE_OPTIONS.ALL, OUTPUT_FORMATS.JSON, true);
+	const newTracker = updateTracker(lastTracker, tracker, extensionSettings.trackerDef, FIELD_INCLUDE_OPTIONS.ALL, OUTPUT_FORMATS.JSON, true, false, locks.fields);
+	if (confidence) newTracker._confidence = confidence;
+	if (locks.messageFields.length > 0) newTracker._locked = locks.messageFields;
+	return stampTrackerSource(newTracker, mesNum);
+}
+
+/**
+ * Builds the prompts tracker generation would send for a given message, without calling the model.
+ * In two-stage and pipeline mode, placeholders stand in for the responses of earlier stages.
+ * @param {number} mesNum - The message number.
+ * @param {string} includedFields - Which fields to include in the tracker.
+ * @returns {Promise<Array<{stage: string, systemPrompt: string, requestPrompt: string, systemTokens: number, requestTokens: number}>>} The prompts of each generation stage with their token counts.
+ */
+export async function buildTrackerPrompts(mesNum, includedFields = FIELD_INCLUDE_OPTIONS.DYNAMIC) {
+	const stages = [];
+	let firstStageMessage = null;
+
+	if (extensionSettings.generationMode == generationModes.PIPELINE) {
+		const pipeline = getValidPipeline();
+		const stageOutputs = {};
+		for (const [index, stage] of pipeline.entries()) {
+			const name = getPipelineStageName(stage, index);
+			const { systemPrompt, requestPrompt } = await getPipelineStagePrompts(stage, index, mesNum, includedFields, stageOutputs);
+			stages.push({ stage: name, systemPrompt, requestPrompt });
+			if (stage.outputVariable) stageOutputs[stage.outputVariable] = `[${name} response]`;
+		}
+	} else {
+		if (extensionSettings.generationMode == generationModes.TWO_STAGE) {
+			stages.push({ stage: "Message Summarization", ...(await getMessageSummarizationPrompts(mesNum, includedFields)) });
+			firstStageMessage = "[Message summarization response]";
+		}
+		stages.push({ stage: "Tracker Generation", ...(await getTrackerGenerationPrompts(mesNum, includedFields, firstStageMessage)) });
+	}
+
+	for (const stage of stages) {
+		stage.systemTokens = await getTokenCountAsync(stage.systemPrompt);
+		stage.requestTokens = await getTokenCountAsync(stage.requestPrompt);
+	}
+
+	debug("Built tracker prompts:", { mesNum, stages });
+	return stages;
+}
+
+/**
+ * Builds the system and request prompts for generating the tracker.
+ * @param {number} mesNum
+ * @param {string} includedFields
+ * @param {string|null} firstStageMessage - The message summarization response in two-stage mode.
+ * @returns {Promise<{systemPrompt: string, requestPrompt: string}>}
+ */
+async function getTrackerGenerationPrompts(mesNum, includedFields, firstStageMessage = null) {
+	let requestPrompt = getRequestPrompt(extensionSettings.generateRequestPrompt, mesNum, includedFields, firstStageMessage);
+	if (isPatchOutput()) requestPrompt += "\n\n" + getRequestPrompt(extensionSettings.patchRequestPrompt, mesNum, includedFields);
+	const systemPrompt = await getGenerateSystemPrompt(mesNum, includedFields, firstStageMessage, requestPrompt);
+	return { systemPrompt, requestPrompt };
+}
+
+/**
+ * Builds the system and request prompts for the message summarization stage.
+ * @param {number} mesNum
+ * @param {string} includedFields
+ * @returns {Promise<{systemPrompt: string, requestPrompt: string}>}
+ */
+async function getMessageSummarizationPrompts(mesNum, includedFields) {
+	const requestPrompt = getRequestPrompt(extensionSettings.messageSummarizationRequestPrompt, mesNum, includedFields);
+	const systemPrompt = await getMessageSummarizationSystemPrompt(mesNum, includedFields, requestPrompt);
+	return { systemPrompt, requestPrompt };
 }
 
 /**
  * Handles the single-stage generation mode.
  * @param {number} mesNum
  * @param {string} includedFields
- * @param {string|null} requestPrompt - If provided, use this request prompt directly.
+ * @param {string|null} firstStageMessage - The message summarization response in two-stage mode.
+ * @param {AbortSignal|null} signal - Cancels the generation.
  */
-async function generateSingleStageTracker(mesNum, includedFields, firstStageMessage = null) {
-	// Build system and request prompts
-	const systemPrompt = getGenerateSystemPrompt(mesNum, includedFields, firstStageMessage);
-	const requestPrompt = getRequestPrompt(extensionSettings.generateRequestPrompt, mesNum, includedFields, firstStageMessage);
+async function generateSingleStageTracker(mesNum, includedFields, firstStageMessage = null, signal = null) {
+	// Build request and system prompts
+	const { systemPrompt, requestPrompt } = await getTrackerGenerationPrompts(mesNum, includedFields, firstStageMessage);
 
 	let responseLength = extensionSettings.responseLength > 0 ? extensionSettings.responseLength : null;
 
-	// Generate tracker using the AI model
+	// Generate tracker using the AI model, with the tracker connection profile if one is set
 	log("Generating tracker with prompts:", { systemPrompt, requestPrompt, responseLength, mesNum });
-	const tracker = await sendGenerateTrackerRequest(systemPrompt, requestPrompt, responseLength);
+	const tracker = await withConnectionProfile(extensionSettings.trackerConnectionProfile, () => sendGenerateTrackerRequest(systemPrompt, requestPrompt, responseLength, includedFields, signal));
 
 	return tracker;
 }
@@ -91,50 +273,232 @@ async function generateSingleStageTracker(mesNum, includedFields, firstStageMess
  * Second: generate tracker using the summary (firstStageMessage).
  * @param {number} mesNum
  * @param {string} includedFields
+ * @param {AbortSignal|null} signal - Cancels the generation.
  */
-async function generateTwoStageTracker(mesNum, includedFields) {
-	// Build system and request prompts for message summarization
-	const systemPrompt = getMessageSummarizationSystemPrompt(mesNum, includedFields);
-	const requestPrompt = getRequestPrompt(extensionSettings.messageSummarizationRequestPrompt, mesNum, includedFields);
+async function generateTwoStageTracker(mesNum, includedFields, signal = null) {
+	// Build request and system prompts for message summarization
+	const { systemPrompt, requestPrompt } = await getMessageSummarizationPrompts(mesNum, includedFields);
 
 	let responseLength = extensionSettings.responseLength > 0 ? extensionSettings.responseLength : null;
 
-	// Run the summarization stage to get the firstStageMessage
-	const message = await generateRaw(requestPrompt, null, false, false, systemPrompt, responseLength);
+	// Run the summarization stage to get the firstStageMessage, with the summarization connection profile if one is set
+	const message = await withConnectionProfile(extensionSettings.summarizationConnectionProfile, () => generateRawAbortable(signal, requestPrompt, systemPrompt, responseLength));
 	debug("Message Summarized:", { message });
 
 	// Generate tracker using the AI model in single-stage manner but with the first stage message
-	const tracker = await generateSingleStageTracker(mesNum, includedFields, message);
+	const tracker = await generateSingleStageTracker(mesNum, includedFields, message, signal);
 
 	return tracker;
 }
 
 /**
  * Sends the generation request to the AI model and parses the tracker response.
+ * With structured output enabled, the request is constrained to the tracker schema where the backend supports it.
+ * Responses that can't be parsed, even after local repair, are sent back to the model with the parse error
+ * up to `parseRetries` times. Every attempt is logged for debugging.
  * @param {string} systemPrompt
  * @param {string} requestPrompt
  * @param {number|null} responseLength
+ * @param {string} includedFields
+ * @param {AbortSignal|null} signal - Cancels the generation, also between retries.
+ * @param {Object} [trackerDef] - The fields to generate, all fields of the tracker definition by default.
  */
-async function sendGenerateTrackerRequest(systemPrompt, requestPrompt, responseLength) {
-	let tracker = await generateRaw(requestPrompt, null, false, false, systemPrompt, responseLength);
-	debug("Generated tracker:", { tracker });
-
-	let newTracker;
-	try {
-		if(extensionSettings.trackerFormat == trackerFormat.JSON) tracker = unescapeJsonString(tracker);
-		const trackerContent = tracker.match(/<tracker>([\s\S]*?)<\/tracker>/);
-		let result = trackerContent ? trackerContent[1].trim() : null;
-		if(extensionSettings.trackerFormat == trackerFormat.YAML) result = yamlToJSON(result);
-		newTracker = JSON.parse(result);
-	} catch (e) {
-		error("Failed to parse tracker:", tracker, e);
+async function sendGenerateTrackerRequest(systemPrompt, requestPrompt, responseLength, includedFields = FIELD_INCLUDE_OPTIONS.DYNAMIC, signal = null, trackerDef = extensionSettings.trackerDef) {
+	const maxAttempts = 1 + Math.max(0, Math.floor(extensionSettings.parseRetries || 0));
+	// The schema requires every field, which would turn a patch back into the full tracker
+	const schema = extensionSettings.structuredOutput && !isPatchOutput() ? getStructuredOutputSchema(includedFields, trackerDef) : null;
+	const expectedKeys = getExpectedTrackerKeys(includedFields, trackerDef);
+	const attempts = [];
+
+	let prompt = requestPrompt;
+	for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+		let tracker;
+		let constrained = false;
+		if (schema) {
+			({ response: tracker, constrained } = await withStructuredOutput(schema, () => generateRawAbortable(signal, prompt, systemPrompt, responseLength)));
+		} else {
+			tracker = await generateRawAbortable(signal, prompt, systemPrompt, responseLength);
+		}
+		debug("Generated tracker:", { tracker, constrained, attempt });
+
+		const record = { attempt, prompt, response: tracker, constrained, repaired: false, error: null };
+		attempts.push(record);
+
+		try {
+			// Constrained output is plain JSON, whatever the tracker format
+			const format = constrained ? trackerFormat.JSON : extensionSettings.trackerFormat;
+			if (format == trackerFormat.JSON) tracker = unescapeJsonString(tracker);
+			const { tracker: newTracker, repaired } = parseTrackerResponse(tracker, format, expectedKeys, isPatchOutput());
+			record.repaired = repaired;
+
+			debug("Parsed tracker:", { newTracker, repaired, attempts });
+			return newTracker;
+		} catch (e) {
+			record.error = e.message;
+			warn(`Failed to parse tracker (attempt ${attempt} of ${maxAttempts}):`, e.message);
+
+			const repairPrompt = formatTemplate(extensionSettings.parseRepairPrompt, {
+				parseError: e.message,
+				previousResponse: record.response,
+				trackerFormat: extensionSettings.trackerFormat,
+			});
+			prompt = `${requestPrompt}\n\n${repairPrompt}`;
+		}
 	}
 
-	debug("Parsed tracker:", { newTracker });
+	error("Failed to parse tracker:", { attempts });
+	return undefined;
+}
+
+/**
+ * Returns the top-level keys a generated tracker may use: the names and aliases of the generated fields.
+ * @param {string} includedFields
+ * @param {Object} [trackerDef]
+ * @returns {string[]}
+ */
+function getExpectedTrackerKeys(includedFields, trackerDef = extensionSettings.trackerDef) {
+	return Object.values(trackerDef)
+		.filter((field) => shouldIncludeField(field, includedFields))
+		.flatMap((field) => [field.name, ...(field.aliases || [])]);
+}
+
+// #region Pipeline
+
+/**
+ * Lists what is wrong with a generation pipeline definition.
+ * @param {*} pipeline - The pipeline, as saved in `extensionSettings.generationPipeline`.
+ * @returns {string[]} The problems, empty if the pipeline can be run.
+ */
+export function getPipelineProblems(pipeline) {
+	if (!Array.isArray(pipeline) || pipeline.length === 0) return ["The pipeline must be a list of at least one stage."];
+
+	const problems = [];
+	const outputVariables = new Set();
+	pipeline.forEach((stage, index) => {
+		if (!stage || typeof stage !== "object" || Array.isArray(stage)) {
+			problems.push(`Stage ${index + 1} must be an object.`);
+			return;
+		}
+
+		const name = getPipelineStageName(stage, index);
+		for (const key of ["contextTemplate", "systemPrompt", "requestPrompt"]) {
+			if (typeof stage[key] !== "string") problems.push(`${name} needs a "${key}" template.`);
+		}
+		for (const key of ["name", "recentMessagesTemplate", "connectionProfile", "outputVariable"]) {
+			if (stage[key] != null && typeof stage[key] !== "string") problems.push(`${name}: "${key}" must be a string.`);
+		}
+		if (stage.fields != null && (!Array.isArray(stage.fields) || stage.fields.some((field) => typeof field !== "string"))) {
+			problems.push(`${name}: "fields" must be a list of field names.`);
+		}
+
+		if (typeof stage.outputVariable === "string" && stage.outputVariable) {
+			if (!/^\w+$/.test(stage.outputVariable)) problems.push(`${name}: the output variable may only contain letters, digits and underscores.`);
+			else if (outputVariables.has(stage.outputVariable)) problems.push(`${name}: the output variable "${stage.outputVariable}" is already used by an earlier stage.`);
+			outputVariables.add(stage.outputVariable);
+		}
+	});
+
+	if (!pipeline.some((stage) => stage?.parseTracker)) problems.push("At least one stage must parse the tracker.");
+	return problems;
+}
+
+/**
+ * Returns the generation pipeline from the settings.
+ * @returns {Object[]} The pipeline stages.
+ * @throws {Error} If the pipeline can't be run.
+ */
+function getValidPipeline() {
+	const pipeline = extensionSettings.generationPipeline;
+	const problems = getPipelineProblems(pipeline);
+	if (problems.length > 0) throw new Error(`Invalid generation pipeline: ${problems.join(" ")}`);
+	return pipeline;
+}
+
+function getPipelineStageName(stage, index) {
+	return stage.name || `Stage ${index + 1}`;
+}
+
+/**
+ * Returns the part of the tracker definition a pipeline stage works on: the top-level fields named in its `fields`, or every field.
+ * @param {Object} stage
+ * @param {number} index - The position of the stage in the pipeline.
+ * @returns {Object} The tracker definition of the stage.
+ */
+function getPipelineStageDef(stage, index) {
+	if (!stage.fields?.length) return extensionSettings.trackerDef;
+
+	const stageDef = Object.fromEntries(Object.entries(extensionSettings.trackerDef).filter(([, field]) => stage.fields.includes(field.name)));
+	const unknownFields = stage.fields.filter((name) => !Object.values(stageDef).some((field) => field.name === name));
+	if (unknownFields.length > 0) warn(`Pipeline stage "${getPipelineStageName(stage, index)}" refers to fields missing from the tracker definition:`, unknownFields);
+	return stageDef;
+}
+
+/**
+ * Builds the system and request prompts of a pipeline stage.
+ * @param {Object} stage
+ * @param {number} index - The position of the stage in the pipeline.
+ * @param {number} mesNum
+ * @param {string} includedFields
+ * @param {Object} stageOutputs - The responses of earlier stages by output variable.
+ * @returns {Promise<{systemPrompt: string, requestPrompt: string, trackerDef: Object}>}
+ */
+async function getPipelineStagePrompts(stage, index, mesNum, includedFields, stageOutputs) {
+	const trackerDef = getPipelineStageDef(stage, index);
+	let requestPrompt = getRequestPrompt(stage.requestPrompt, mesNum, includedFields, null, trackerDef, stageOutputs);
+	if (stage.parseTracker && isPatchOutput()) requestPrompt += "\n\n" + getRequestPrompt(extensionSettings.patchRequestPrompt, mesNum, includedFields, null, trackerDef);
+	const systemPrompt = await getPipelineStageSystemPrompt(stage, index, mesNum, includedFields, stageOutputs, requestPrompt, trackerDef);
+	return { systemPrompt, requestPrompt, trackerDef };
+}
+
+/**
+ * Handles the pipeline generation mode, running the stages of `extensionSettings.generationPipeline` in order.
+ * The response of a stage is available to later stages through its output variable. Stages that parse the tracker
+ * generate their fields and together make up the generated tracker, later stages overriding the fields they share with earlier ones.
+ * @param {number} mesNum
+ * @param {string} includedFields
+ * @param {AbortSignal|null} signal - Cancels the generation.
+ * @returns {Promise<Object|undefined>} The generated tracker, undefined if a stage's tracker couldn't be parsed.
+ */
+async function generatePipelineTracker(mesNum, includedFields, signal = null) {
+	const pipeline = getValidPipeline();
+	const responseLength = extensionSettings.responseLength > 0 ? extensionSettings.responseLength : null;
+	const stageOutputs = {};
+	const tracker = {};
+
+	for (const [index, stage] of pipeline.entries()) {
+		const name = getPipelineStageName(stage, index);
+		const { systemPrompt, requestPrompt, trackerDef } = await getPipelineStagePrompts(stage, index, mesNum, includedFields, stageOutputs);
+		// Without a stage profile, tracker stages use the tracker profile and the others the summarization profile, as in two-stage mode
+		const connectionProfile = stage.connectionProfile || (stage.parseTracker ? extensionSettings.trackerConnectionProfile : extensionSettings.summarizationConnectionProfile);
+
+		log(`Running pipeline stage "${name}" with prompts:`, { systemPrompt, requestPrompt, responseLength, mesNum, connectionProfile });
+		let output;
+		if (stage.parseTracker) {
+			const stageTracker = await withConnectionProfile(connectionProfile, () => sendGenerateTrackerRequest(systemPrompt, requestPrompt, responseLength, includedFields, signal, trackerDef));
+			if (!stageTracker) return undefined;
+
+			// A stage limited to some fields can't overwrite the fields of other stages
+			if (stage.fields?.length) {
+				const stageKeys = getExpectedTrackerKeys(FIELD_INCLUDE_OPTIONS.ALL, trackerDef);
+				for (const key of Object.keys(stageTracker)) {
+					if (!stageKeys.includes(key)) delete stageTracker[key];
+				}
+			}
+			Object.assign(tracker, stageTracker);
+			output = extensionSettings.trackerFormat == trackerFormat.JSON ? JSON.stringify(stageTracker, null, 2) : jsonToYAML(stageTracker);
+		} else {
+			output = await withConnectionProfile(connectionProfile, () => generateRawAbortable(signal, requestPrompt, systemPrompt, responseLength));
+		}
+		debug(`Pipeline stage "${name}" done:`, { output });
+
+		if (stage.outputVariable) stageOutputs[stage.outputVariable] = output;
+	}
 
-	return newTracker;
+	return tracker;
 }
 
+// #endregion
+
 // #region Tracker Prompt Functions
 
 /**
@@ -142,30 +506,33 @@ async function sendGenerateTrackerRequest(systemPrompt, requestPrompt, responseL
  * Uses `extensionSettings.generateContextTemplate` and `extensionSettings.generateSystemPrompt`.
  * @param {number} mesNum
  * @param {string} includedFields
- * @returns {string} The system prompt.
+ * @param {string|null} firstStageMessage
+ * @param {string} requestPrompt - The request prompt sent along, counted against the token budget.
+ * @returns {Promise<string>} The system prompt.
  */
-function getGenerateSystemPrompt(mesNum, includedFields = FIELD_INCLUDE_OPTIONS.DYNAMIC, firstStageMessage = null) {
+async function getGenerateSystemPrompt(mesNum, includedFields = FIELD_INCLUDE_OPTIONS.DYNAMIC, firstStageMessage = null, requestPrompt = "") {
 	const trackerSystemPrompt = getSystemPrompt(extensionSettings.generateSystemPrompt, includedFields);
-	const characterDescriptions = getCharacterDescriptions();
-	const trackerExamples = getExampleTrackers(includedFields);
-	const recentMessages = getRecentMessages(extensionSettings.generateRecentMessagesTemplate, mesNum, includedFields);
+	const sections = {
+		characterDescriptions: getCharacterDescriptionList(),
+		trackerExamples: getExampleTrackerList(includedFields),
+		recentMessages: getRecentMessageList(extensionSettings.generateRecentMessagesTemplate, mesNum, includedFields),
+	};
 	const currentTracker = getCurrentTracker(mesNum, includedFields);
 	const trackerFormat = extensionSettings.trackerFormat;
-	const trackerFieldPrompt = getTrackerPrompt(extensionSettings.trackerDef, includedFields);
+	const trackerFieldPrompt = getFieldPrompt(extensionSettings.trackerDef, includedFields, mesNum);
 
 	const vars = {
 		trackerSystemPrompt,
-		characterDescriptions,
-		trackerExamples,
-		recentMessages,
 		currentTracker,
+		currentTrackerData: getCurrentTrackerData(mesNum, includedFields),
 		trackerFormat,
 		trackerFieldPrompt,
+		trackerFields: getTemplateFields(extensionSettings.trackerDef, includedFields),
 		firstStageMessage: firstStageMessage || "", // Only in two-stage mode
 	};
 
-	debug("Generated Tacker Generation System Prompt:", vars);
-	return formatTemplate(extensionSettings.generateContextTemplate, vars);
+	debug("Generated Tacker Generation System Prompt:", { ...vars, ...sections });
+	return await formatContextTemplate(extensionSettings.generateContextTemplate, vars, sections, requestPrompt);
 }
 
 /**
@@ -173,40 +540,168 @@ function getGenerateSystemPrompt(mesNum, includedFields = FIELD_INCLUDE_OPTIONS.
  * Uses `extensionSettings.messageSummarizationContextTemplate` and `extensionSettings.messageSummarizationSystemPrompt`.
  * @param {number} mesNum
  * @param {string} includedFields
- * @returns {string} The system prompt.
+ * @param {string} requestPrompt - The request prompt sent along, counted against the token budget.
+ * @returns {Promise<string>} The system prompt.
  */
-function getMessageSummarizationSystemPrompt(mesNum, includedFields) {
+async function getMessageSummarizationSystemPrompt(mesNum, includedFields, requestPrompt = "") {
 	const trackerSystemPrompt = getSystemPrompt(extensionSettings.messageSummarizationSystemPrompt, includedFields);
 	const messageSummarizationSystemPrompt = getSystemPrompt(extensionSettings.messageSummarizationSystemPrompt, includedFields);
-	const characterDescriptions = getCharacterDescriptions();
-	const trackerExamples = getExampleTrackers(includedFields);
-	const recentMessages = extensionSettings.messageSummarizationRecentMessagesTemplate ? getRecentMessages(extensionSettings.messageSummarizationRecentMessagesTemplate, mesNum, includedFields) || "" : "";
+	const sections = {
+		characterDescriptions: getCharacterDescriptionList(),
+		trackerExamples: getExampleTrackerList(includedFields),
+		recentMessages: extensionSettings.messageSummarizationRecentMessagesTemplate ? getRecentMessageList(extensionSettings.messageSummarizationRecentMessagesTemplate, mesNum, includedFields) : [],
+	};
 	const currentTracker = getCurrentTracker(mesNum, includedFields);
 	const trackerFormat = extensionSettings.trackerFormat;
-	const trackerFieldPrompt = getTrackerPrompt(extensionSettings.trackerDef, includedFields);
+	const trackerFieldPrompt = getFieldPrompt(extensionSettings.trackerDef, includedFields, mesNum);
 
 	const vars = {
 		trackerSystemPrompt,
 		messageSummarizationSystemPrompt,
-		characterDescriptions,
-		trackerExamples,
-		recentMessages,
 		currentTracker,
+		currentTrackerData: getCurrentTrackerData(mesNum, includedFields),
 		trackerFormat,
 		trackerFieldPrompt,
+		trackerFields: getTemplateFields(extensionSettings.trackerDef, includedFields),
 	};
 
-	debug("Generated Message Summarization System Prompt (Summarization):", vars);
-	return formatTemplate(extensionSettings.messageSummarizationContextTemplate, vars);
+	debug("Generated Message Summarization System Prompt (Summarization):", { ...vars, ...sections });
+	return await formatContextTemplate(extensionSettings.messageSummarizationContextTemplate, vars, sections, requestPrompt);
+}
+
+/**
+ * Constructs the system prompt of a pipeline stage from its context template. {{trackerSystemPrompt}}, {{characterDescriptions}}, {{trackerExamples}}, {{recentMessages}}, {{currentTracker}}, {{trackerFormat}}, {{trackerFieldPrompt}}, and the output variables of earlier stages
+ * @param {Object} stage
+ * @param {number} index - The position of the stage in the pipeline.
+ * @param {number} mesNum
+ * @param {string} includedFields
+ * @param {Object} stageOutputs - The responses of earlier stages by output variable.
+ * @param {string} requestPrompt - The request prompt sent along, counted against the token budget.
+ * @param {Object} trackerDef - The fields the stage works on.
+ * @returns {Promise<string>} The system prompt.
+ */
+async function getPipelineStageSystemPrompt(stage, index, mesNum, includedFields, stageOutputs, requestPrompt, trackerDef) {
+	const sections = {
+		characterDescriptions: getCharacterDescriptionList(),
+		trackerExamples: getExampleTrackerList(includedFields, trackerDef),
+		recentMessages: stage.recentMessagesTemplate ? getRecentMessageList(stage.recentMessagesTemplate, mesNum, includedFields, trackerDef) : [],
+	};
+
+	const vars = {
+		...stageOutputs,
+		trackerSystemPrompt: getSystemPrompt(stage.systemPrompt, includedFields, trackerDef),
+		currentTracker: getCurrentTracker(mesNum, includedFields, trackerDef),
+		currentTrackerData: getCurrentTrackerData(mesNum, includedFields, OUTPUT_FORMATS.JSON, trackerDef),
+		trackerFormat: extensionSettings.trackerFormat,
+		trackerFieldPrompt: getFieldPrompt(trackerDef, includedFields, mesNum),
+		trackerFields: getTemplateFields(trackerDef, includedFields),
+	};
+
+	debug(`Generated Pipeline Stage System Prompt (${getPipelineStageName(stage, index)}):`, { ...vars, ...sections });
+	return await formatContextTemplate(stage.contextTemplate, vars, sections, requestPrompt);
+}
+
+/**
+ * Fills a context template with its variables and the variable-size sections: character descriptions, example trackers and recent messages.
+ * With a prompt token budget set, sections are reduced until the system and request prompts fit it:
+ * the oldest recent messages are dropped first (keeping the latest), then example trackers, and finally character descriptions are shortened.
+ * @param {string} template - The context template.
+ * @param {Object} vars - The fixed template variables.
+ * @param {{characterDescriptions: Array<{name: string, description: string}>, trackerExamples: string[], recentMessages: string[]}} sections - The reducible sections.
+ * @param {string} requestPrompt - The request prompt sent along with the system prompt.
+ * @returns {Promise<string>} The filled template.
+ */
+async function formatContextTemplate(template, vars, sections, requestPrompt = "") {
+	const render = () =>
+		formatTemplate(template, {
+			...vars,
+			characters: sections.characterDescriptions,
+			characterDescriptions: formatCharacterDescriptions(sections.characterDescriptions),
+			trackerExamples: formatExampleTrackers(sections.trackerExamples),
+			recentMessages: sections.recentMessages.join("\n"),
+		});
+
+	const budget = extensionSettings.promptTokenBudget;
+	if (!(budget > 0)) return render();
+
+	const requestTokens = await getTokenCountAsync(requestPrompt || "");
+	const countTokens = async () => requestTokens + (await getTokenCountAsync(render()));
+	const usage = { budget, initialTokens: await countTokens(), droppedRecentMessages: 0, droppedExamples: 0, trimmedDescriptions: false };
+	let tokens = usage.initialTokens;
+
+	if (tokens > budget && sections.recentMessages.length > 1) {
+		// Each message is counted once, the oldest are dropped until their tokens cover the excess and the prompt is counted again to check
+		const recentMessages = sections.recentMessages;
+		const messageTokens = [];
+		for (const message of recentMessages) messageTokens.push(await getTokenCountAsync(message));
+
+		let dropped = 0;
+		while (tokens > budget && recentMessages.length - dropped > 1) {
+			let excess = tokens - budget;
+			do {
+				excess -= messageTokens[dropped];
+				dropped++;
+			} while (excess > 0 && recentMessages.length - dropped > 1);
+
+			sections.recentMessages = recentMessages.slice(dropped);
+			tokens = await countTokens();
+		}
+		usage.droppedRecentMessages = dropped;
+	}
+
+	while (tokens > budget && sections.trackerExamples.length > 0) {
+		sections.trackerExamples = sections.trackerExamples.slice(0, -1);
+		usage.droppedExamples++;
+		tokens = await countTokens();
+	}
+
+	// Shorten every description by the share of tokens still over budget, repeating as token counts aren't exactly proportional to length
+	for (let pass = 0; tokens > budget && pass < 5; pass++) {
+		const descriptionTokens = await getTokenCountAsync(formatCharacterDescriptions(sections.characterDescriptions));
+		if (descriptionTokens === 0) break;
+
+		const keepRatio = Math.max(0, 1 - (tokens - budget) / descriptionTokens) * 0.95;
+		sections.characterDescriptions = sections.characterDescriptions.map((char) => ({ ...char, description: trimText(char.description, Math.floor(char.description.length * keepRatio)) }));
+		usage.trimmedDescriptions = true;
+		tokens = await countTokens();
+	}
+
+	usage.finalTokens = tokens;
+	usage.sections = {
+		characterDescriptions: await getTokenCountAsync(formatCharacterDescriptions(sections.characterDescriptions)),
+		trackerExamples: await getTokenCountAsync(formatExampleTrackers(sections.trackerExamples)),
+		recentMessages: await getTokenCountAsync(sections.recentMessages.join("\n")),
+		currentTracker: await getTokenCountAsync(String(vars.currentTracker ?? "")),
+		requestPrompt: requestTokens,
+	};
+	debug("Tracker prompt token budget:", usage);
+	if (tokens > budget) warn(`Tracker prompt uses ${tokens} tokens, exceeding the budget of ${budget} tokens even after reducing it.`);
+
+	return render();
+}
+
+/**
+ * Shortens a text to at most the given length, cutting at a word boundary and marking the cut.
+ * @param {string} text
+ * @param {number} maxLength
+ * @returns {string}
+ */
+function trimText(text, maxLength) {
+	if (!text || text.length <= maxLength) return text;
+	if (maxLength <= 0) return "";
+	const cut = text.slice(0, maxLength);
+	const lastSpace = cut.lastIndexOf(" ");
+	return (lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut).trimEnd() + "…";
 }
 
 /**
  * Retrieves the system prompt. {{charNames}}, {{defaultTracker}}, {{trackerFormat}}
  * @param {string} template
  * @param {string} includedFields
+ * @param {Object} [trackerDef]
  * @returns {string} The system prompt.
  */
-function getSystemPrompt(template, includedFields) {
+function getSystemPrompt(template, includedFields, trackerDef = extensionSettings.trackerDef) {
 	let charNames = [name1];
 
 	// Add group members if in a group
@@ -228,7 +723,7 @@ function getSystemPrompt(template, includedFields) {
 	else if (charNames.length === 2) namesJoined = charNames.join(" and ");
 	else namesJoined = charNames.slice(0, -1).join(", ") + ", and " + charNames.slice(-1);
 
-	let defaultTrackerVal = getDefaultTracker(extensionSettings.trackerDef, includedFields, OUTPUT_FORMATS[extensionSettings.trackerFormat]);
+	let defaultTrackerVal = getDefaultTracker(trackerDef, includedFields, OUTPUT_FORMATS[extensionSettings.trackerFormat]);
 	if (extensionSettings.trackerFormat == trackerFormat.JSON) {
 		defaultTrackerVal = JSON.stringify(defaultTrackerVal, null, 2);
 	}
@@ -243,9 +738,10 @@ function getSystemPrompt(template, includedFields) {
 }
 
 /**
- * Retrieves character descriptions. {{char}}, {{charDescription}}
+ * Retrieves the persona and the descriptions of the characters in the chat.
+ * @returns {Array<{name: string, description: string}>}
  */
-function getCharacterDescriptions() {
+function getCharacterDescriptionList() {
 	const characterDescriptions = [];
 
 	// Get main character's persona
@@ -267,6 +763,15 @@ function getCharacterDescriptions() {
 		characterDescriptions.push({ name: char.name, description: char.description });
 	}
 
+	return characterDescriptions;
+}
+
+/**
+ * Formats character descriptions. {{char}}, {{charDescription}}
+ * @param {Array<{name: string, description: string}>} characterDescriptions
+ * @returns {string}
+ */
+function formatCharacterDescriptions(characterDescriptions) {
 	let charDescriptionString = "";
 	const template = extensionSettings.characterDescriptionTemplate;
 	characterDescriptions.forEach((char) => {
@@ -281,22 +786,25 @@ function getCharacterDescriptions() {
 }
 
 /**
- * Retrieves recent messages up to a certain number and formats them. {{char}}, {{message}}, {{tracker}}, {{#if tracker}}...{{/if}}
+ * Retrieves recent messages up to a certain number and formats each of them. {{char}}, {{message}}, {{tracker}}, {{#if tracker}}...{{/if}}
+ * @returns {string[]} The formatted messages, oldest first.
  */
-function getRecentMessages(template, mesNum, includedFields) {
-	const messages = chat.filter((c, index) => !c.is_system && index <= mesNum).slice(-extensionSettings.numberOfMessages);
-	if (messages.length === 0) return null;
+function getRecentMessageList(template, mesNum, includedFields, trackerDef = extensionSettings.trackerDef) {
+	// Messages before the scene of the message are left out
+	const sceneStart = getSceneStart(mesNum);
+	const messages = chat.filter((c, index) => !c.is_system && index <= mesNum && index >= sceneStart).slice(-extensionSettings.numberOfMessages);
 
 	return messages
 		.map((c) => {
 			const name = c.name;
 			const message = c.mes.replace(/<tracker>[\s\S]*?<\/tracker>/g, "").trim();
 
-			let hasTracker = c.tracker && Object.keys(c.tracker).length !== 0;
+			// The tracker of the first message of the scene describes the scene before it
+			const hasTracker = c.tracker && Object.keys(c.tracker).length !== 0 && !c.tracker_scene;
 			let trackerContent = "";
 			if (hasTracker) {
 				try {
-					trackerContent = getTracker(c.tracker, extensionSettings.trackerDef, includedFields, false, OUTPUT_FORMATS[extensionSettings.trackerFormat]);
+					trackerContent = getTracker(c.tracker, trackerDef, includedFields, false, OUTPUT_FORMATS[extensionSettings.trackerFormat]);
 					if (extensionSettings.trackerFormat == trackerFormat.JSON) {
 						trackerContent = JSON.stringify(trackerContent, null, 2);
 					}
@@ -305,31 +813,15 @@ function getRecentMessages(template, mesNum, includedFields) {
 				}
 			}
 
-			let replaced = formatTemplate(template, { char: name, message });
-			replaced = conditionalSection(replaced, "tracker", hasTracker && !!trackerContent, trackerContent);
-			return replaced;
-		})
-		.join("\n");
+			return formatTemplate(template, { char: name, message, tracker: trackerContent });
+		});
 }
 
 /**
  * Retrieves the current tracker.
  */
-function getCurrentTracker(mesNum, includedFields) {
-	debug("Getting current tracker for message:", { mesNum });
-	const message = chat[mesNum];
-	const tracker = message.tracker;
-	let returnTracker;
-	if (tracker && Object.keys(tracker).length !== 0) {
-		returnTracker = getTracker(tracker, extensionSettings.trackerDef, includedFields, false, OUTPUT_FORMATS[extensionSettings.trackerFormat]);
-	} else {
-		const lastMesWithTracker = chat
-		.slice()
-		.filter((mes) => mes.tracker && Object.keys(mes.tracker).length !== 0)
-		.pop();
-		if (lastMesWithTracker) returnTracker = getTracker(lastMesWithTracker.tracker, extensionSettings.trackerDef, includedFields, false, OUTPUT_FORMATS[extensionSettings.trackerFormat]);
-		else returnTracker = getDefaultTracker(extensionSettings.trackerDef, includedFields, OUTPUT_FORMATS[extensionSettings.trackerFormat]);
-	}
+function getCurrentTracker(mesNum, includedFields, trackerDef = extensionSettings.trackerDef) {
+	let returnTracker = getCurrentTrackerData(mesNum, includedFields, OUTPUT_FORMATS[extensionSettings.trackerFormat], trackerDef);
 
 	if (extensionSettings.trackerFormat == trackerFormat.JSON) {
 		returnTracker = JSON.stringify(returnTracker, null, 2);
@@ -338,39 +830,100 @@ function getCurrentTracker(mesNum, includedFields) {
 	return returnTracker;
 }
 
+/**
+ * Retrieves the tracker of the message, the last tracker before it or the default tracker, in that order.
+ * @param {number} mesNum
+ * @param {string} includedFields
+ * @param {string} outputFormat - The output format, an object for `OUTPUT_FORMATS.JSON`.
+ * @param {Object} [trackerDef]
+ */
+function getCurrentTrackerData(mesNum, includedFields, outputFormat = OUTPUT_FORMATS.JSON, trackerDef = extensionSettings.trackerDef) {
+	debug("Getting current tracker for message:", { mesNum });
+	return getTracker(getLastTracker(mesNum), trackerDef, includedFields, false, outputFormat);
+}
+
+/**
+ * Retrieves the tracker of the message or the last one before it.
+ * Trackers before the scene the message belongs to are not used, a scene starts from the last tracker before it with the
+ * fields of its scene boundary reset.
+ * @param {number} mesNum
+ * @param {boolean} [includeMessage=true] - Whether the tracker of the message itself is used. Generation builds on the last tracker before it.
+ * @returns {Object} The tracker, the default tracker if there is none.
+ */
+function getLastTracker(mesNum, includeMessage = true) {
+	const sceneStart = getSceneStart(mesNum);
+	const lastMesId = chat.slice(0, includeMessage ? mesNum + 1 : mesNum).findLastIndex((mes) => mes.tracker && Object.keys(mes.tracker).length !== 0);
+	const tracker = lastMesId !== -1 ? chat[lastMesId].tracker : getDefaultTracker(extensionSettings.trackerDef, FIELD_INCLUDE_OPTIONS.ALL, OUTPUT_FORMATS.JSON);
+
+	// The tracker of the first message of a scene was generated before the scene started
+	if (sceneStart !== -1 && lastMesId <= sceneStart) return getSceneStartTracker(sceneStart, tracker);
+	return tracker;
+}
+
 /**
  * Retrieves the example trackers.
+ * With patch output, every example after the first is shown as the patch from the example before it.
+ * @returns {string[]} The example trackers in the tracker format.
  */
-function getExampleTrackers(includedFields) {
+function getExampleTrackerList(includedFields, trackerDef = extensionSettings.trackerDef) {
 	debug("Getting example trackers");
-	let trackerExamples = getExampleTrackersFromDef(extensionSettings.trackerDef, includedFields, OUTPUT_FORMATS[extensionSettings.trackerFormat]);
+	let trackerExamples = getExampleTrackersFromDef(trackerDef, includedFields, OUTPUT_FORMATS.JSON);
+	if (isPatchOutput()) {
+		trackerExamples = trackerExamples.map((ex, index) => (index === 0 ? ex : getTrackerPatch(trackerExamples[index - 1], ex)));
+	}
 	if (extensionSettings.trackerFormat == trackerFormat.JSON) {
 		trackerExamples = trackerExamples.map((ex) => JSON.stringify(ex, null, 2));
+	} else {
+		trackerExamples = trackerExamples.map((ex) => jsonToYAML(ex));
 	}
-	trackerExamples = "<START>\n<tracker>\n" + trackerExamples.join("\n</tracker>\n<END>\n<START>\n<tracker>\n") + "\n</tracker>\n<END>";
-
 	return trackerExamples;
 }
 
+/**
+ * Retrieves the field prompt, leaving out the fields locked for the tracker generated from the message.
+ * @param {Object} trackerDef
+ * @param {string} includedFields
+ * @param {number|null} mesNum - The message number, null to list all fields.
+ * @returns {string}
+ */
+function getFieldPrompt(trackerDef, includedFields, mesNum) {
+	const lockedFields = mesNum != null ? getGenerationLocks(mesNum).fields : [];
+	return getTrackerPrompt(trackerDef, includedFields, lockedFields);
+}
+
+/**
+ * Wraps example trackers in tracker tags and example separators.
+ * @param {string[]} trackerExamples
+ * @returns {string}
+ */
+function formatExampleTrackers(trackerExamples) {
+	if (trackerExamples.length === 0) return "";
+	return "<START>\n<tracker>\n" + trackerExamples.join("\n</tracker>\n<END>\n<START>\n<tracker>\n") + "\n</tracker>\n<END>";
+}
+
 /**
  * Retrieves the request prompt. {{trackerFieldPrompt}}, {{trackerFormat}}, {{message}}, {{firstStageMessage}}
  * @param {string} template - The request prompt template from extensionSettings.
  * @param {number|null} mesNum - The message number.
  * @param {string} includedFields
  * @param {string|null} firstStage - The first stage message (changes list) if in two-stage mode.
+ * @param {Object} [trackerDef] - The fields the prompt is about, all fields of the tracker definition by default.
+ * @param {Object} [stageOutputs] - The responses of earlier pipeline stages by output variable.
  */
-export function getRequestPrompt(template, mesNum = null, includedFields, firstStage = null) {
+export function getRequestPrompt(template, mesNum = null, includedFields, firstStage = null, trackerDef = extensionSettings.trackerDef, stageOutputs = {}) {
 	let messageText = "";
 	if (mesNum != null) {
 		const message = chat[mesNum];
 		messageText = message.mes;
 	}
 
-	const trackerFieldPromptVal = getTrackerPrompt(extensionSettings.trackerDef, includedFields);
+	const trackerFieldPromptVal = getFieldPrompt(trackerDef, includedFields, mesNum);
 	const vars = {
+		...stageOutputs,
 		message: messageText,
 		trackerFieldPrompt: trackerFieldPromptVal,
 		trackerFormat: extensionSettings.trackerFormat,
+		trackerFields: getTemplateFields(trackerDef, includedFields),
 	};
 
 	// If two-stage mode and firstStage is provided and the template includes {{firstStageMessage}}, add it
@@ -0,0 +1,147 @@
+import { chat, saveChatConditional } from "../../../../../script.js";
+import { debug, warn } from "../lib/utils.js";
+import { extensionSettings } from "../index.js";
+import { yamlToJSON } from "../lib/ymlParser.js";
+import { refreshStaleTrackers } from "./staleTrackers.js";
+import { FIELD_INCLUDE_OPTIONS, getDefaultTracker, getTracker, OUTPUT_FORMATS, shouldIncludeField, storeSwipeTracker } from "./trackerDataHandler.js";
+import { TrackerPreviewManager } from "./ui/trackerPreviewManager.js";
+
+export const SCENE_RESETS = {
+	DEFAULTS: "defaults",
+	TEMPLATE: "template",
+};
+
+/**
+ * Returns the scene boundary of a message, marking it as the first message of a new scene.
+ * @param {number} mesId - The message ID.
+ * @returns {{fields: string[]|null, reset: string}|null} - The fields the scene resets, null for all dynamic fields, and what they are reset to.
+ */
+export function getSceneBoundary(mesId) {
+	return chat[mesId]?.tracker_scene ?? null;
+}
+
+/**
+ * Returns the first message of the scene a message belongs to.
+ * @param {number} mesNum - The message number.
+ * @returns {number} - The message with the last scene boundary up to the message, -1 if there is none.
+ */
+export function getSceneStart(mesNum) {
+	for (let mesId = Math.min(mesNum, chat.length - 1); mesId >= 0; mesId--) {
+		if (getSceneBoundary(mesId)) return mesId;
+	}
+	return -1;
+}
+
+/**
+ * Marks a message as the start of a new scene, or removes the mark. The trackers generated after it are marked stale.
+ * @param {number} mesId - The message ID.
+ * @param {{fields?: string[]|null, reset?: string}|null} boundary - The fields to reset, all dynamic fields if empty,
+ * and whether to reset them to their default values or the scene start template. Null to remove the boundary.
+ * @returns {Promise<Object|null>} - The saved boundary.
+ */
+export async function setSceneBoundary(mesId, boundary) {
+	if (!chat[mesId]) throw new Error(`Message ${mesId} does not exist.`);
+
+	if (boundary) {
+		const fieldNames = Object.values(extensionSettings.trackerDef).map((field) => field.name);
+		const unknownFields = (boundary.fields ?? []).filter((name) => !fieldNames.includes(name));
+		if (unknownFields.length > 0) throw new Error(`Unknown tracker fields: ${unknownFields.join(", ")}.`);
+
+		const reset = boundary.reset ?? SCENE_RESETS.DEFAULTS;
+		if (!Object.values(SCENE_RESETS).includes(reset)) throw new Error(`Unknown scene reset "${reset}". Use ${Object.values(SCENE_RESETS).join(" or ")}.`);
+
+		chat[mesId].tracker_scene = { fields: boundary.fields?.length ? boundary.fields : null, reset };
+	} else {
+		delete chat[mesId].tracker_scene;
+	}
+	debug("Set scene boundary:", { mesId, boundary: chat[mesId].tracker_scene });
+
+	// The trackers generated from this message on were built from the scene before it
+	const nextTrackerMesId = chat.findIndex((mes, index) => index > mesId && mes.tracker && Object.keys(mes.tracker).length !== 0);
+	if (nextTrackerMesId !== -1) {
+		chat[nextTrackerMesId].tracker._stale = true;
+		storeSwipeTracker(nextTrackerMesId);
+	}
+
+	await saveChatConditional();
+	TrackerPreviewManager.updatePreview(mesId);
+	await refreshStaleTrackers();
+	return getSceneBoundary(mesId);
+}
+
+/**
+ * Returns the tracker a scene starts from: the last tracker of the scene before, with the fields of the scene boundary
+ * reset to their default values or to the values of the scene start template.
+ * @param {number} mesId - The message with the scene boundary.
+ * @param {Object} tracker - The last tracker before the scene.
+ * @returns {Object} - The tracker at the start of the scene.
+ */
+export function getSceneStartTracker(mesId, tracker) {
+	const boundary = getSceneBoundary(mesId);
+	if (!boundary) return tracker;
+
+	const trackerDef = extensionSettings.trackerDef;
+	const startTracker = boundary.reset === SCENE_RESETS.TEMPLATE ? getSceneStartTemplateTracker() : getDefaultTracker(trackerDef, FIELD_INCLUDE_OPTIONS.ALL, OUTPUT_FORMATS.JSON);
+	const fields = boundary.fields ?? Object.values(trackerDef)
+		.filter((field) => shouldIncludeField(field, FIELD_INCLUDE_OPTIONS.DYNAMIC))
+		.map((field) => field.name);
+
+	const sceneTracker = getTracker(tracker, trackerDef, FIELD_INCLUDE_OPTIONS.ALL, true, OUTPUT_FORMATS.JSON);
+	for (const name of fields) {
+		if (Object.hasOwn(startTracker, name)) sceneTracker[name] = startTracker[name];
+	}
+	return sceneTracker;
+}
+
+/**
+ * Reads the scene start template, a tracker in JSON or YAML. Fields it leaves out get their default values.
+ * @returns {Object} - The scene start tracker.
+ */
+function getSceneStartTemplateTracker() {
+	const template = extensionSettings.sceneStartTemplate?.trim();
+	let tracker = {};
+	if (template) {
+		try {
+			tracker = JSON.parse(template);
+		} catch {
+			try {
+				tracker = JSON.parse(yamlToJSON(template));
+			} catch (e) {
+				warn("Failed to read the scene start template, using default values:", e);
+			}
+		}
+	}
+	return getTracker(tracker, extensionSettings.trackerDef, FIELD_INCLUDE_OPTIONS.ALL, false, OUTPUT_FORMATS.JSON);
+}
+
+/**
+ * Marks a message as the start of a new scene from the message menu, asking which fields to reset, or removes its mark.
+ * @param {number} mesId - The message ID.
+ */
+export async function toggleSceneBoundary(mesId) {
+	if (getSceneBoundary(mesId)) {
+		if (!confirm(`Remove the scene boundary at message ${mesId}?`)) return;
+		await setSceneBoundary(mesId, null);
+		toastr.info(`Message ${mesId} no longer starts a new scene.`);
+		return;
+	}
+
+	const fields = prompt("Start a new scene at this message. Fields to reset, separated by commas. Leave empty to reset all dynamic fields.", "");
+	if (fields === null) return;
+
+	const reset = extensionSettings.sceneStartTemplate?.trim() ? SCENE_RESETS.TEMPLATE : SCENE_RESETS.DEFAULTS;
+	await setSceneBoundary(mesId, { fields: parseFieldList(fields), reset });
+	toastr.success(`Message ${mesId} starts a new scene.`);
+}
+
+/**
+ * Splits a comma separated list of field names.
+ * @param {string} value - The list.
+ * @returns {string[]} - The field names.
+ */
+export function parseFieldList(value) {
+	return (value ?? "")
+		.split(",")
+		.map((name) => name.trim())
+		.filter((name) => name !== "");
+}
@@ -4,6 +4,7 @@ export const generationModes = {
 	INLINE: "inline",
 	SINGLE_STAGE: "single-stage",
 	TWO_STAGE: "two-stage",
+	PIPELINE: "pipeline",
 };
 
 export const generationTargets = {
@@ -18,6 +19,23 @@ export const trackerFormat = {
 	YAML: "YAML",
 };
 
+export const trackerOutputModes = {
+	FULL: "full",
+	PATCH: "patch",
+};
+
+export const trackerInjectionPositions = {
+	IN_CHAT: "in-chat",
+	BEFORE_PROMPT: "before-prompt",
+	AFTER_PROMPT: "after-prompt",
+};
+
+export const trackerInjectionRoles = {
+	SYSTEM: "system",
+	USER: "user",
+	ASSISTANT: "assistant",
+};
+
 export const PREVIEW_PLACEMENT = {
 	BEFORE: "before",
 	AFTER: "after",
@@ -465,6 +483,8 @@ const trackerDef = {
 	},
 };
 
+const trackerInjectionTemplate = `{{tracker}}`;
+
 const trackerPreviewSelector = ".mes_block .mes_text";
 const trackerPreviewPlacement = "before";
 
@@ -472,6 +492,51 @@ const numberOfMessages = 5;
 const generateFromMessage = 3;
 
 const responseLength = 0;
+const promptTokenBudget = 0;
+const generationTimeout = 0;
+
+const generationSamples = 1;
+const sampleAgreementThreshold = 0.5;
+const lowConfidenceThreshold = 0.6;
+
+const parseRepairPrompt = `[Your previous response could not be read as a tracker: {{parseError}}
+
+Previous response:
+{{previousResponse}}
+
+Respond again with only the complete tracker in {{trackerFormat}}, enclosed in <tracker></tracker> tags, without any other text.]`;
+
+const patchRequestPrompt = `[Instead of the full tracker, respond with only the fields that changed compared to the current tracker, in {{trackerFormat}} enclosed in <tracker></tracker> tags. Leave out every field that stays the same. For nested fields, include only the parent keys leading to the changed values. To remove an entry, like a character who left the scene, set it to null. If nothing changed, respond with <tracker>{}</tracker>.]`;
+
+//#endregion
+
+//#region Pipeline
+
+// The two-stage generation as a pipeline, the starting point for custom pipelines
+const generationPipeline = [
+	{
+		name: "Message Summarization",
+		contextTemplate: messageSummarizationContextTemplate.replace("{{messageSummarizationSystemPrompt}}", "{{trackerSystemPrompt}}"),
+		systemPrompt: messageSummarizationSystemPrompt,
+		requestPrompt: messageSummarizationRequestPrompt,
+		recentMessagesTemplate: messageSummarizationRecentMessagesTemplate,
+		fields: [],
+		connectionProfile: "",
+		outputVariable: "firstStageMessage",
+		parseTracker: false,
+	},
+	{
+		name: "Tracker Generation",
+		contextTemplate: twoStageGenerateContextTemplate,
+		systemPrompt: twoStageGenerateSystemPrompt,
+		requestPrompt: twoStageGenerateRequestPrompt,
+		recentMessagesTemplate: generateRecentMessagesTemplate,
+		fields: [],
+		connectionProfile: "",
+		outputVariable: "",
+		parseTracker: true,
+	},
+];
 
 //#endregion
 
@@ -480,6 +545,7 @@ export const defaultSettings = {
 	generationTarget: generationTargets.BOTH,
 	showPopupFor: generationTargets.NONE,
 	trackerFormat: trackerFormat.YAML,
+	trackerOutputMode: trackerOutputModes.FULL,
 
 	generationMode: generationModes.SINGLE_STAGE,
 
@@ -493,12 +559,21 @@ export const defaultSettings = {
 	messageSummarizationRequestPrompt: "",
 	messageSummarizationRecentMessagesTemplate: "",
 
+	generationPipeline: generationPipeline,
+
 	inlineRequestPrompt: "",
 
 	characterDescriptionTemplate: characterDescriptionTemplate,
 
 	mesTrackerTemplate: mesTrackerTemplate,
+	trackerInjectionPosition: trackerInjectionPositions.IN_CHAT,
+	trackerInjectionDepth: -1,
+	trackerInjectionRole: trackerInjectionRoles.SYSTEM,
+	trackerInjectionTemplate: trackerInjectionTemplate,
 	trackerDef: trackerDef,
+	trackerDefVersion: 1,
+	trackerDefHistory: {},
+	sceneStartTemplate: "",
 
 	trackerPreviewSelector: trackerPreviewSelector,
 	trackerPreviewPlacement: trackerPreviewPlacement,
@@ -506,6 +581,18 @@ export const defaultSettings = {
 	numberOfMessages: numberOfMessages,
 	generateFromMessage: generateFromMessage,
 	responseLength: responseLength,
+	promptTokenBudget: promptTokenBudget,
+	generationTimeout: generationTimeout,
+	generationSamples: generationSamples,
+	sampleAgreementThreshold: sampleAgreementThreshold,
+	lowConfidenceThreshold: lowConfidenceThreshold,
+	autoRegenerateStaleTrackers: false,
+	trackerConnectionProfile: "",
+	summarizationConnectionProfile: "",
+	structuredOutput: false,
+	parseRetries: 1,
+	parseRepairPrompt: parseRepairPrompt,
+	patchRequestPrompt: patchRequestPrompt,
 	selectedPreset: "Default-SingleStage",
 	presets: {
 		"Default-SingleStage": {
@@ -525,7 +612,14 @@ export const defaultSettings = {
 			characterDescriptionTemplate: characterDescriptionTemplate,
 
 			mesTrackerTemplate: mesTrackerTemplate,
+			trackerInjectionPosition: trackerInjectionPositions.IN_CHAT,
+			trackerInjectionDepth: -1,
+			trackerInjectionRole: trackerInjectionRoles.SYSTEM,
+			trackerInjectionTemplate: trackerInjectionTemplate,
 			trackerDef: trackerDef,
+			trackerDefVersion: 1,
+			trackerDefHistory: {},
+			sceneStartTemplate: "",
 		},
 		"Default-TwoStage": {
 			generationMode: generationModes.TWO_STAGE,
@@ -545,7 +639,42 @@ export const defaultSettings = {
 			characterDescriptionTemplate: characterDescriptionTemplate,
 
 			mesTrackerTemplate: mesTrackerTemplate,
+			trackerInjectionPosition: trackerInjectionPositions.IN_CHAT,
+			trackerInjectionDepth: -1,
+			trackerInjectionRole: trackerInjectionRoles.SYSTEM,
+			trackerInjectionTemplate: trackerInjectionTemplate,
+			trackerDef: trackerDef,
+			trackerDefVersion: 1,
+			trackerDefHistory: {},
+			sceneStartTemplate: "",
+		},
+		"Default-Pipeline": {
+			generationMode: generationModes.PIPELINE,
+
+			generateContextTemplate: generateContextTemplate,
+			generateSystemPrompt: generateSystemPrompt,
+			generateRequestPrompt: generateRequestPrompt,
+			generateRecentMessagesTemplate: generateRecentMessagesTemplate,
+
+			messageSummarizationContextTemplate: "",
+			messageSummarizationSystemPrompt: "",
+			messageSummarizationRequestPrompt: "",
+
+			generationPipeline: generationPipeline,
+
+			inlineRequestPrompt: "",
+
+			characterDescriptionTemplate: characterDescriptionTemplate,
+
+			mesTrackerTemplate: mesTrackerTemplate,
+			trackerInjectionPosition: trackerInjectionPositions.IN_CHAT,
+			trackerInjectionDepth: -1,
+			trackerInjectionRole: trackerInjectionRoles.SYSTEM,
+			trackerInjectionTemplate: trackerInjectionTemplate,
 			trackerDef: trackerDef,
+			trackerDefVersion: 1,
+			trackerDefHistory: {},
+			sceneStartTemplate: "",
 		},
 		"Default-Inline": {
 			generationMode: generationModes.INLINE,
@@ -564,7 +693,14 @@ export const defaultSettings = {
 			characterDescriptionTemplate: characterDescriptionTemplate,
 
 			mesTrackerTemplate: mesTrackerTemplate,
+			trackerInjectionPosition: trackerInjectionPositions.IN_CHAT,
+			trackerInjectionDepth: -1,
+			trackerInjectionRole: trackerInjectionRoles.SYSTEM,
+			trackerInjectionTemplate: trackerInjectionTemplate,
 			trackerDef: trackerDef,
+			trackerDefVersion: 1,
+			trackerDefHistory: {},
+			sceneStartTemplate: "",
 		},
 	},
 	debugMode: false,
@@ -1,11 +1,17 @@
 import { saveSettingsDebounced } from "../../../../../../script.js";
 import { extensionFolderPath, extensionSettings } from "../../index.js";
-import { debug, toTitleCase } from "../../lib/utils.js";
+import { debug, getLastNonSystemMessageIndex, getPreviousNonSystemMessageIndex, toTitleCase } from "../../lib/utils.js";
 import { defaultSettings, generationModes, generationTargets } from "./defaultSettings.js";
 import { generationCaptured } from "../../lib/interconnection.js";
 import { TrackerPromptMakerModal } from "../ui/trackerPromptMakerModal.js";
+import { applyChatMigration, getFirstFreeFieldIndex, previewChatMigration, recordTrackerDefVersion } from "../trackerMigration.js";
+import { jsonSchemaToTrackerDef, trackerDefToJsonSchema } from "../trackerJsonSchema.js";
+import { getConnectionProfileNames } from "../connectionProfiles.js";
+import { buildTrackerPrompts, getPipelineProblems } from "../generation.js";
+import { TrackerPromptPreviewModal } from "../ui/trackerPromptPreviewModal.js";
+import { cancelBackfill, getBackfillState, pauseBackfill, resumeBackfill, startBackfill, updateBackfillStatus } from "../backfill.js";
 
-export { generationModes, generationTargets, trackerFormat } from "./defaultSettings.js";
+export { generationModes, generationTargets, trackerFormat, trackerInjectionPositions, trackerInjectionRoles, trackerOutputModes } from "./defaultSettings.js";
 
 /**
  * Checks if the extension is enabled.
@@ -71,6 +77,8 @@ function setSettingsInitialValues() {
 	// Populate presets dropdown
 	updatePresetDropdown();
 	updatePopupDropdown();
+	updateConnectionProfileDropdowns();
+	updateBackfillStatus();
 	updateFieldVisibility(extensionSettings.generationMode);
 
 	$("#tracker_enable").prop("checked", extensionSettings.enabled);
@@ -78,6 +86,7 @@ function setSettingsInitialValues() {
 	$("#tracker_generation_target").val(extensionSettings.generationTarget);
 	$("#tracker_show_popup_for").val(extensionSettings.showPopupFor);
 	$("#tracker_format").val(extensionSettings.trackerFormat);
+	$("#tracker_output_mode").val(extensionSettings.trackerOutputMode);
 	$("#tracker_debug").prop("checked", extensionSettings.debugMode);
 
 	// Set other settings fields
@@ -90,11 +99,29 @@ function setSettingsInitialValues() {
 	$("#tracker_message_summarization_system_prompt").val(extensionSettings.messageSummarizationSystemPrompt);
 	$("#tracker_message_summarization_request_prompt").val(extensionSettings.messageSummarizationRequestPrompt);
 	$("#tracker_message_summarization_recent_messages").val(extensionSettings.messageSummarizationRecentMessagesTemplate);
+	$("#tracker_generation_pipeline").val(JSON.stringify(extensionSettings.generationPipeline, null, 2));
+	$("#tracker_generation_pipeline_error").text("");
 	$("#tracker_character_description").val(extensionSettings.characterDescriptionTemplate);
 	$("#tracker_mes_tracker_template").val(extensionSettings.mesTrackerTemplate);
+	$("#tracker_injection_position").val(extensionSettings.trackerInjectionPosition);
+	$("#tracker_injection_depth").val(extensionSettings.trackerInjectionDepth);
+	$("#tracker_injection_role").val(extensionSettings.trackerInjectionRole);
+	$("#tracker_injection_template").val(extensionSettings.trackerInjectionTemplate);
+	$("#tracker_scene_start_template").val(extensionSettings.sceneStartTemplate);
 	$("#tracker_number_of_messages").val(extensionSettings.numberOfMessages);
 	$("#tracker_generate_from_message").val(extensionSettings.generateFromMessage);
 	$("#tracker_response_length").val(extensionSettings.responseLength);
+	$("#tracker_prompt_token_budget").val(extensionSettings.promptTokenBudget);
+	$("#tracker_generation_timeout").val(extensionSettings.generationTimeout);
+	$("#tracker_generation_samples").val(extensionSettings.generationSamples);
+	$("#tracker_sample_agreement_threshold").val(extensionSettings.sampleAgreementThreshold);
+	$("#tracker_low_confidence_threshold").val(extensionSettings.lowConfidenceThreshold);
+	$("#tracker_auto_regenerate_stale").prop("checked", extensionSettings.autoRegenerateStaleTrackers);
+	$("#tracker_structured_output").prop("checked", extensionSettings.structuredOutput);
+	$("#tracker_parse_retries").val(extensionSettings.parseRetries);
+	$("#tracker_parse_repair_prompt").val(extensionSettings.parseRepairPrompt);
+	$("#tracker_patch_request_prompt").val(extensionSettings.patchRequestPrompt);
+	$("#tracker_def_version").text(extensionSettings.trackerDefVersion);
 }
 
 // #endregion
@@ -115,6 +142,9 @@ function registerSettingsListeners() {
 	$("#tracker_preset_export").on("click", onPresetExportClick);
 	$("#tracker_preset_import_button").on("click", onPresetImportButtonClick);
 	$("#tracker_preset_import").on("change", onPresetImportChange);
+	$("#tracker_schema_export").on("click", onSchemaExportClick);
+	$("#tracker_schema_import_button").on("click", onSchemaImportButtonClick);
+	$("#tracker_schema_import").on("change", onSchemaImportChange);
 
 	// Settings fields
 	$("#tracker_enable").on("input", onSettingCheckboxInput("enabled"));
@@ -122,6 +152,7 @@ function registerSettingsListeners() {
 	$("#tracker_generation_target").on("change", onSettingSelectChange("generationTarget"));
 	$("#tracker_show_popup_for").on("change", onSettingSelectChange("showPopupFor"));
 	$("#tracker_format").on("change", onSettingSelectChange("trackerFormat"));
+	$("#tracker_output_mode").on("change", onSettingSelectChange("trackerOutputMode"));
 	$("#tracker_debug").on("input", onSettingCheckboxInput("debugMode"));
 
 	$("#tracker_context_prompt").on("input", onSettingInputareaInput("generateContextTemplate"));
@@ -133,13 +164,37 @@ function registerSettingsListeners() {
 	$("#tracker_message_summarization_system_prompt").on("input", onSettingInputareaInput("messageSummarizationSystemPrompt"));
 	$("#tracker_message_summarization_request_prompt").on("input", onSettingInputareaInput("messageSummarizationRequestPrompt"));
 	$("#tracker_message_summarization_recent_messages").on("input", onSettingInputareaInput("messageSummarizationRecentMessagesTemplate"));
+	$("#tracker_generation_pipeline").on("input", onGenerationPipelineInput);
 	$("#tracker_character_description").on("input", onSettingInputareaInput("characterDescriptionTemplate"));
 	$("#tracker_mes_tracker_template").on("input", onSettingInputareaInput("mesTrackerTemplate"));
+	$("#tracker_injection_position").on("change", onSettingSelectChange("trackerInjectionPosition"));
+	$("#tracker_injection_depth").on("input", onSettingNumberInput("trackerInjectionDepth"));
+	$("#tracker_injection_role").on("change", onSettingSelectChange("trackerInjectionRole"));
+	$("#tracker_injection_template").on("input", onSettingInputareaInput("trackerInjectionTemplate"));
+	$("#tracker_scene_start_template").on("input", onSettingInputareaInput("sceneStartTemplate"));
 	$("#tracker_number_of_messages").on("input", onSettingNumberInput("numberOfMessages"));
 	$("#tracker_generate_from_message").on("input", onSettingNumberInput("generateFromMessage"));
 	$("#tracker_response_length").on("input", onSettingNumberInput("responseLength"));
+	$("#tracker_prompt_token_budget").on("input", onSettingNumberInput("promptTokenBudget"));
+	$("#tracker_generation_timeout").on("input", onSettingNumberInput("generationTimeout"));
+	$("#tracker_generation_samples").on("input", onSettingNumberInput("generationSamples"));
+	$("#tracker_sample_agreement_threshold").on("input", onSettingNumberInput("sampleAgreementThreshold"));
+	$("#tracker_low_confidence_threshold").on("input", onSettingNumberInput("lowConfidenceThreshold"));
+	$("#tracker_auto_regenerate_stale").on("input", onSettingCheckboxInput("autoRegenerateStaleTrackers"));
+	$("#tracker_connection_profile").on("change", onSettingSelectChange("trackerConnectionProfile"));
+	$("#tracker_summarization_connection_profile").on("change", onSettingSelectChange("summarizationConnectionProfile"));
+	$("#tracker_connection_profile, #tracker_summarization_connection_profile").on("focus", updateConnectionProfileDropdowns);
+	$("#tracker_structured_output").on("input", onSettingCheckboxInput("structuredOutput"));
+	$("#tracker_parse_retries").on("input", onSettingNumberInput("parseRetries"));
+	$("#tracker_parse_repair_prompt").on("input", onSettingInputareaInput("parseRepairPrompt"));
+	$("#tracker_patch_request_prompt").on("input", onSettingInputareaInput("patchRequestPrompt"));
 
 	$("#tracker_prompt_maker").on("click", onTrackerPromptMakerClick);
+	$("#tracker_prompt_preview").on("click", onPromptPreviewClick);
+	$("#tracker_migrate_chat").on("click", onMigrateChatTrackersClick);
+	$("#tracker_backfill_start").on("click", onBackfillStartClick);
+	$("#tracker_backfill_pause").on("click", onBackfillPauseClick);
+	$("#tracker_backfill_cancel").on("click", onBackfillCancelClick);
 }
 
 // #endregion
@@ -306,6 +361,58 @@ function onPresetImportChange(event) {
 	reader.readAsText(file);
 }
 
+/**
+ * Event handler for exporting the tracker definition as JSON Schema.
+ */
+function onSchemaExportClick() {
+	const presetName = extensionSettings.selectedPreset || "Tracker";
+	const schema = trackerDefToJsonSchema(extensionSettings.trackerDef, presetName);
+	const dataStr = JSON.stringify(schema, null, 2);
+	const blob = new Blob([dataStr], { type: "application/schema+json" });
+	const url = URL.createObjectURL(blob);
+
+	const a = $("<a>").attr("href", url).attr("download", `${presetName}.schema.json`);
+	$("body").append(a);
+	a[0].click();
+	a.remove();
+	URL.revokeObjectURL(url);
+}
+
+/**
+ * Event handler for clicking the JSON Schema import button.
+ */
+function onSchemaImportButtonClick() {
+	$("#tracker_schema_import").click();
+}
+
+/**
+ * Event handler for importing a tracker definition from a JSON Schema file.
+ * The imported definition replaces the current one and is opened in the Prompt Maker for review.
+ * @param {Event} event The change event from the file input.
+ */
+function onSchemaImportChange(event) {
+	const file = event.target.files[0];
+	if (!file) return;
+
+	const reader = new FileReader();
+	reader.onload = function (e) {
+		try {
+			const trackerDef = jsonSchemaToTrackerDef(e.target.result, getFirstFreeFieldIndex());
+			if (Object.keys(trackerDef).length === 0) {
+				alert("The JSON Schema does not define any fields.");
+				return;
+			}
+			if (!confirm(`Replace the current tracker definition with the ${Object.keys(trackerDef).length} fields from "${file.name}"?`)) return;
+			openTrackerPromptMaker(trackerDef);
+			toastr.success("Tracker definition imported from JSON Schema.");
+		} catch (err) {
+			alert("Failed to import JSON Schema: " + err.message);
+		}
+	};
+	reader.readAsText(file);
+	event.target.value = "";
+}
+
 /**
  * Retrieves the current settings to save as a preset.
  * @returns {Object} The current preset settings.
@@ -321,9 +428,17 @@ function getCurrentPresetSettings() {
 		messageSummarizationSystemPrompt: extensionSettings.messageSummarizationSystemPrompt,
 		messageSummarizationRequestPrompt: extensionSettings.messageSummarizationRequestPrompt,
 		messageSummarizationRecentMessagesTemplate: extensionSettings.messageSummarizationRecentMessagesTemplate,
+		generationPipeline: extensionSettings.generationPipeline,
 		characterDescriptionTemplate: extensionSettings.characterDescriptionTemplate,
 		mesTrackerTemplate: extensionSettings.mesTrackerTemplate,
+		trackerInjectionPosition: extensionSettings.trackerInjectionPosition,
+		trackerInjectionDepth: extensionSettings.trackerInjectionDepth,
+		trackerInjectionRole: extensionSettings.trackerInjectionRole,
+		trackerInjectionTemplate: extensionSettings.trackerInjectionTemplate,
 		trackerDef: extensionSettings.trackerDef,
+		trackerDefVersion: extensionSettings.trackerDefVersion,
+		trackerDefHistory: extensionSettings.trackerDefHistory,
+		sceneStartTemplate: extensionSettings.sceneStartTemplate,
 	};
 }
 
@@ -384,6 +499,27 @@ function onSettingInputareaInput(settingName) {
 	};
 }
 
+/**
+ * Event handler for editing the generation pipeline.
+ * The pipeline is saved once it is valid JSON describing valid stages, otherwise the problems are shown below it.
+ */
+function onGenerationPipelineInput() {
+	let problems;
+	let pipeline;
+	try {
+		pipeline = JSON.parse($(this).val());
+		problems = getPipelineProblems(pipeline);
+	} catch (e) {
+		problems = [`Invalid JSON: ${e.message}`];
+	}
+
+	$("#tracker_generation_pipeline_error").text(problems.join(" "));
+	if (problems.length > 0) return;
+
+	extensionSettings.generationPipeline = pipeline;
+	saveSettingsDebounced();
+}
+
 /**
  * Returns a function to handle number input changes for a given setting.
  * @param {string} settingName The name of the setting.
@@ -409,11 +545,125 @@ function onSettingNumberInput(settingName) {
  * Event handler for clicking the Tracker Prompt Maker button.
  */
 function onTrackerPromptMakerClick() {
-	const modal = new TrackerPromptMakerModal();
-	modal.show(extensionSettings.trackerDef, (updatedTracker) => {
-		extensionSettings.trackerDef = updatedTracker;
+	openTrackerPromptMaker(extensionSettings.trackerDef);
+}
+
+/**
+ * Event handler for clicking the Preview Prompt button.
+ * Asks for a message and shows the tracker prompts that would be sent for it.
+ */
+async function onPromptPreviewClick() {
+	const lastMesId = getLastNonSystemMessageIndex();
+	if (lastMesId === -1) {
+		toastr.error("No message found to preview the tracker prompt for.");
+		return;
+	}
+
+	const input = prompt("Enter the message number to preview the tracker prompt for:", lastMesId);
+	if (input === null) return;
+
+	const mesId = parseInt(input);
+	const previousMesId = isNaN(mesId) || mesId > lastMesId ? -1 : getPreviousNonSystemMessageIndex(mesId);
+	if (previousMesId === -1) {
+		toastr.error(`No valid message found before message ${input} to preview the tracker prompt.`);
+		return;
+	}
+
+	try {
+		const stages = await buildTrackerPrompts(previousMesId);
+		new TrackerPromptPreviewModal().show(mesId, stages);
+	} catch (e) {
+		toastr.error(`Failed to build the tracker prompt: ${e.message}`);
+	}
+}
+
+/**
+ * Opens the Tracker Prompt Maker, recording a new tracker definition version once it is closed.
+ * @param {Object} trackerDef The tracker definition to edit. If it isn't the current one, it replaces it.
+ */
+function openTrackerPromptMaker(trackerDef) {
+	const previousDef = JSON.parse(JSON.stringify(extensionSettings.trackerDef));
+	if (trackerDef !== extensionSettings.trackerDef) {
+		extensionSettings.trackerDef = trackerDef;
 		saveSettingsDebounced();
-	});
+	}
+
+	const modal = new TrackerPromptMakerModal();
+	modal.show(
+		extensionSettings.trackerDef,
+		(updatedTracker) => {
+			extensionSettings.trackerDef = updatedTracker;
+			saveSettingsDebounced();
+		},
+		() => {
+			if (recordTrackerDefVersion(previousDef, extensionSettings.trackerDef)) {
+				$("#tracker_def_version").text(extensionSettings.trackerDefVersion);
+				toastr.info(`Tracker definition updated to version ${extensionSettings.trackerDefVersion}. Use "Migrate Chat Trackers" to update existing trackers.`);
+			}
+		},
+		getFirstFreeFieldIndex(),
+	);
+}
+
+/**
+ * Event handler for clicking the Migrate Chat Trackers button.
+ * Shows how many trackers of the open chat would change and applies the migration after confirmation.
+ */
+async function onMigrateChatTrackersClick() {
+	const migration = previewChatMigration();
+
+	if (migration.changes.length === 0) {
+		if (migration.fromVersion !== migration.toVersion) await applyChatMigration(migration);
+		toastr.info(`All ${migration.total} trackers in this chat are up to date (version ${migration.toVersion}).`);
+		return;
+	}
+
+	if (!confirm(`Migrate trackers from version ${migration.fromVersion} to ${migration.toVersion}? ${migration.changes.length} of ${migration.total} message trackers will change.`)) return;
+
+	await applyChatMigration(migration);
+	toastr.success(`Migrated ${migration.changes.length} message trackers to version ${migration.toVersion}.`);
+}
+
+/**
+ * Event handler for clicking the Start Backfill button.
+ */
+async function onBackfillStartClick() {
+	const from = $("#tracker_backfill_from").val();
+	const to = $("#tracker_backfill_to").val();
+
+	try {
+		await startBackfill(from === "" ? null : parseInt(from), to === "" ? null : parseInt(to));
+	} catch (e) {
+		toastr.error(e.message);
+	}
+}
+
+/**
+ * Event handler for clicking the Pause/Resume button of the backfill.
+ */
+async function onBackfillPauseClick() {
+	const state = getBackfillState();
+	if (!state) return;
+
+	try {
+		if ($(this).val() === "Resume") await resumeBackfill();
+		else await pauseBackfill();
+	} catch (e) {
+		toastr.error(e.message);
+	}
+}
+
+/**
+ * Event handler for clicking the Cancel button of the backfill.
+ */
+async function onBackfillCancelClick() {
+	if (!getBackfillState() || !confirm("Cancel the tracker backfill? Trackers generated so far are kept.")) return;
+
+	try {
+		await cancelBackfill();
+	} catch (e) {
+		toastr.error(e.message);
+	}
 }
 
 // #endregion
@@ -429,6 +679,7 @@ function updateFieldVisibility(mode) {
 	$("#generate_context_section").hide();
 	$("#message_summarization_section").hide();
 	$("#inline_request_section").hide();
+	$("#pipeline_section").hide();
 
 	// Show fields based on the selected mode
 	if (mode === generationModes.INLINE) {
@@ -438,6 +689,37 @@ function updateFieldVisibility(mode) {
 	} else if (mode === generationModes.TWO_STAGE) {
 		$("#generate_context_section").show();
 		$("#message_summarization_section").show();
+	} else if (mode === generationModes.PIPELINE) {
+		$("#pipeline_section").show();
+	}
+}
+
+// #endregion
+
+// #region Connection Profiles
+
+/**
+ * Updates the connection profile dropdowns with the profiles saved in the Connection Manager.
+ */
+function updateConnectionProfileDropdowns() {
+	const profileNames = getConnectionProfileNames();
+	const dropdowns = {
+		"#tracker_connection_profile": "trackerConnectionProfile",
+		"#tracker_summarization_connection_profile": "summarizationConnectionProfile",
+	};
+
+	for (const [selector, settingName] of Object.entries(dropdowns)) {
+		const select = $(selector);
+		const selectedProfile = extensionSettings[settingName] || "";
+		select.empty();
+		select.append($("<option>").val("").text("Current Connection"));
+		for (const profileName of profileNames) {
+			select.append($("<option>").val(profileName).text(profileName));
+		}
+		if (selectedProfile && !profileNames.includes(selectedProfile)) {
+			select.append($("<option>").val(selectedProfile).text(`${selectedProfile} (missing)`));
+		}
+		select.val(selectedProfile);
 	}
 }
 
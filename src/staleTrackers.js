@@ -0,0 +1,70 @@
+import { chat, saveChatConditional } from "../../../../../script.js";
+import { getPreviousNonSystemMessageIndex, log, warn } from "../lib/utils.js";
+import { extensionSettings } from "../index.js";
+import { getBackfillState, startBackfill } from "./backfill.js";
+import { getMessageHash, storeSwipeTracker } from "./trackerDataHandler.js";
+import { TrackerPreviewManager } from "./ui/trackerPreviewManager.js";
+
+/**
+ * Marks the trackers whose source messages were edited, deleted or swiped since they were generated as stale.
+ * A tracker is generated from the tracker before it, so every tracker after a stale one is stale too.
+ * Trackers without a recorded source, generated by older versions, are only marked through a stale tracker before them.
+ * @returns {{stale: number[], changed: number[]}} - The messages with a stale tracker, and those newly marked stale.
+ */
+export function markStaleTrackers() {
+	const stale = [];
+	const changed = [];
+	let afterStale = false;
+
+	for (let mesId = 0; mesId < chat.length; mesId++) {
+		const tracker = chat[mesId]?.tracker;
+		if (!tracker || Object.keys(tracker).length === 0) continue;
+
+		let isStale = afterStale || tracker._stale === true;
+		if (!isStale && tracker._source) {
+			const sourceMesId = getPreviousNonSystemMessageIndex(mesId);
+			isStale = sourceMesId === -1 || getMessageHash(sourceMesId) !== tracker._source.hash;
+		}
+		if (!isStale) continue;
+
+		stale.push(mesId);
+		afterStale = true;
+		if (tracker._stale !== true) {
+			tracker._stale = true;
+			storeSwipeTracker(mesId);
+			changed.push(mesId);
+		}
+	}
+
+	return { stale, changed };
+}
+
+/**
+ * Marks stale trackers after the chat changed and updates their previews.
+ * With `autoRegenerateStaleTrackers`, the stale trackers are regenerated in the background.
+ */
+export async function refreshStaleTrackers() {
+	const { stale, changed } = markStaleTrackers();
+	if (changed.length > 0) {
+		log("Marked trackers as stale:", changed);
+		await saveChatConditional();
+		changed.forEach((mesId) => TrackerPreviewManager.updatePreview(mesId));
+	}
+
+	if (stale.length > 0 && extensionSettings.autoRegenerateStaleTrackers && !getBackfillState()) {
+		regenerateStaleTrackers().catch((e) => warn("Failed to regenerate stale trackers:", e));
+	}
+}
+
+/**
+ * Regenerates the stale trackers of the open chat in order, as a backfill from the first stale tracker to the last.
+ * Throws if a backfill is already in progress.
+ * @returns {Promise<Object|null>} - The backfill job once it stops, null if no tracker is stale.
+ */
+export async function regenerateStaleTrackers() {
+	const { stale } = markStaleTrackers();
+	if (stale.length === 0) return null;
+
+	log("Regenerating stale trackers:", stale);
+	return await startBackfill(stale[0], stale[stale.length - 1], true, true);
+}
@@ -0,0 +1,233 @@
+import { textgenerationwebui_settings as textgen_settings, textgen_types } from "../../../../textgen-settings.js";
+import { chat_completion_sources } from "../../../../openai.js";
+import { debug } from "../lib/utils.js";
+import { extensionSettings } from "../index.js";
+import { FIELD_INCLUDE_OPTIONS, shouldIncludeField } from "./trackerDataHandler.js";
+import { trackerDefToJsonSchema } from "./trackerJsonSchema.js";
+
+// Keywords of exported tracker schemas that only describe the tracker definition, not the generated JSON
+const DEFINITION_KEYWORDS = ["$schema", "title", "default", "examples", "readOnly"];
+
+// Chat completion sources whose backends turn the request's JSON Schema into a constrained response format
+const JSON_SCHEMA_SOURCES = [
+	chat_completion_sources.OPENAI,
+	chat_completion_sources.AZURE_OPENAI,
+	chat_completion_sources.OPENROUTER,
+	chat_completion_sources.CUSTOM,
+	chat_completion_sources.CLAUDE,
+	chat_completion_sources.MAKERSUITE,
+	chat_completion_sources.VERTEXAI,
+	chat_completion_sources.MISTRALAI,
+	chat_completion_sources.XAI,
+].filter(Boolean);
+
+// The constraint for the tracker request in flight, picked up by the completion settings hooks
+let pendingConstraint = null;
+
+/**
+ * Builds the JSON Schema the generated tracker has to match, covering only the generated fields.
+ * Computed fields are never generated and are left out.
+ * @param {string} includedFields - Which fields are generated.
+ * @param {Object} [fields] - The tracker definition, the one in the settings by default.
+ * @returns {Object} - The JSON Schema.
+ */
+export function getStructuredOutputSchema(includedFields = FIELD_INCLUDE_OPTIONS.DYNAMIC, fields = extensionSettings.trackerDef) {
+	const trackerDef = filterGeneratedFields(fields, includedFields);
+	return toPlainSchema(trackerDefToJsonSchema(trackerDef));
+}
+
+/**
+ * Runs a tracker generation request with its output constrained to the given JSON Schema.
+ * The schema, or a GBNF grammar derived from it, is added to the request by the completion settings hooks
+ * for backends that support it; other backends receive the request unchanged.
+ * @param {Object} schema - The JSON Schema the output has to match.
+ * @param {Function} request - Async function sending the generation request.
+ * @returns {Promise<{response: *, constrained: boolean}>} - The response and whether the constraint was sent with it.
+ */
+export async function withStructuredOutput(schema, request) {
+	const constraint = { schema, grammar: null, constrained: false };
+	pendingConstraint = constraint;
+	try {
+		const response = await request();
+		return { response, constrained: constraint.constrained };
+	} finally {
+		pendingConstraint = null;
+	}
+}
+
+/**
+ * Adds the pending constraint to text completion requests as a JSON Schema or GBNF grammar.
+ * @param {Object} params - The text completion request parameters.
+ */
+export function onTextCompletionSettingsReady(params) {
+	if (!pendingConstraint) return;
+	const constraint = pendingConstraint;
+
+	switch (textgen_settings.type) {
+		case textgen_types.LLAMACPP:
+		case textgen_types.TABBY:
+			delete params.grammar;
+			delete params.grammar_string;
+			params.json_schema = constraint.schema;
+			break;
+		case textgen_types.APHRODITE:
+			params.guided_json = constraint.schema;
+			break;
+		case textgen_types.OOBA:
+			params.grammar_string = getGrammar(constraint);
+			break;
+		case textgen_types.KOBOLDCPP:
+			params.grammar = getGrammar(constraint);
+			break;
+		default:
+			debug("Structured output is not supported by this text completion backend:", textgen_settings.type);
+			return;
+	}
+
+	constraint.constrained = true;
+	debug("Constrained tracker generation for text completion:", { type: textgen_settings.type, params });
+}
+
+/**
+ * Adds the pending constraint to chat completion requests as a JSON Schema response format,
+ * for sources that support it.
+ * @param {Object} generateData - The chat completion request data.
+ */
+export function onChatCompletionSettingsReady(generateData) {
+	if (!pendingConstraint) return;
+
+	if (!JSON_SCHEMA_SOURCES.includes(generateData.chat_completion_source)) {
+		debug("Structured output is not supported by this chat completion source:", generateData.chat_completion_source);
+		return;
+	}
+
+	generateData.json_schema = {
+		name: "tracker",
+		description: "The updated scene tracker.",
+		strict: false,
+		value: pendingConstraint.schema,
+	};
+	pendingConstraint.constrained = true;
+	debug("Constrained tracker generation for chat completion:", { source: generateData.chat_completion_source });
+}
+
+// #region Schema
+
+function filterGeneratedFields(fields, includedFields) {
+	const filtered = {};
+	for (const [fieldId, field] of Object.entries(fields || {})) {
+		if (field.type === "COMPUTED" || !shouldIncludeField(field, includedFields)) continue;
+		filtered[fieldId] = { ...field, nestedFields: filterGeneratedFields(field.nestedFields, includedFields) };
+	}
+	return filtered;
+}
+
+/**
+ * Removes the tracker specific keywords from an exported tracker schema and closes objects with fixed properties.
+ */
+function toPlainSchema(schema) {
+	const plain = {};
+	for (const [key, value] of Object.entries(schema)) {
+		if (key.startsWith("x-tracker-") || DEFINITION_KEYWORDS.includes(key)) continue;
+
+		if (key === "properties") {
+			plain.properties = Object.fromEntries(Object.entries(value).map(([name, propertySchema]) => [name, toPlainSchema(propertySchema)]));
+		} else if ((key === "items" || key === "additionalProperties") && value && typeof value === "object") {
+			plain[key] = toPlainSchema(value);
+		} else {
+			plain[key] = value;
+		}
+	}
+
+	if (plain.properties && plain.additionalProperties === undefined) plain.additionalProperties = false;
+	return plain;
+}
+
+// #endregion
+
+// #region Grammar
+
+function getGrammar(constraint) {
+	if (!constraint.grammar) constraint.grammar = jsonSchemaToGbnf(constraint.schema);
+	return constraint.grammar;
+}
+
+const GBNF_PRIMITIVES = {
+	ws: "[ \\t\\n]*",
+	string: '"\\"" ( [^"\\\\\\x7F\\x00-\\x1F] | "\\\\" ( ["\\\\/bfnrt] | "u" [0-9a-fA-F] [0-9a-fA-F] [0-9a-fA-F] [0-9a-fA-F] ) )* "\\"" ws',
+	number: '"-"? ( [0-9] | [1-9] [0-9]* ) ( "." [0-9]+ )? ( [eE] [-+]? [0-9]+ )? ws',
+	integer: '"-"? ( [0-9] | [1-9] [0-9]* ) ws',
+	boolean: '( "true" | "false" ) ws',
+	null: '"null" ws',
+};
+
+/**
+ * Converts a JSON Schema into a GBNF grammar accepting only JSON matching it.
+ * Supports the subset produced for trackers: objects with fixed properties, maps through additionalProperties,
+ * arrays, enums, strings, numbers, integers and booleans. Anything else accepts any string.
+ * @param {Object} schema - The JSON Schema.
+ * @returns {string} - The GBNF grammar.
+ */
+export function jsonSchemaToGbnf(schema) {
+	const rules = new Map();
+	const usedPrimitives = new Set(["ws"]);
+
+	const addRule = (name, body) => {
+		let ruleName = name.toLowerCase().replace(/[^a-z0-9-]+/g, "-").replace(/^-+|-+$/g, "") || "value";
+		if (rules.has(ruleName) || GBNF_PRIMITIVES[ruleName] !== undefined) {
+			let suffix = 1;
+			while (rules.has(`${ruleName}-${suffix}`)) suffix++;
+			ruleName = `${ruleName}-${suffix}`;
+		}
+		rules.set(ruleName, body);
+		return ruleName;
+	};
+
+	const primitive = (name) => {
+		usedPrimitives.add(name);
+		return name;
+	};
+
+	const visit = (node, name) => {
+		if (Array.isArray(node.enum)) {
+			return addRule(name, `( ${node.enum.map((value) => gbnfLiteral(JSON.stringify(value))).join(" | ")} ) ws`);
+		}
+
+		let type = node.type;
+		if (Array.isArray(type)) type = type.find((candidate) => candidate !== "null");
+
+		switch (type) {
+			case "number":
+			case "integer":
+			case "boolean":
+				return primitive(type);
+			case "array": {
+				const item = visit(node.items || {}, `${name}-item`);
+				return addRule(name, `"[" ws ( ${item} ( "," ws ${item} )* )? "]" ws`);
+			}
+			case "object": {
+				if (node.properties && Object.keys(node.properties).length > 0) {
+					const members = Object.entries(node.properties).map(([key, propertySchema]) => `${gbnfLiteral(JSON.stringify(key))} ws ":" ws ${visit(propertySchema, `${name}-${key}`)}`);
+					return addRule(name, `"{" ws ${members.join(' "," ws ')} "}" ws`);
+				}
+				const value = node.additionalProperties && typeof node.additionalProperties === "object" ? visit(node.additionalProperties, `${name}-value`) : primitive("string");
+				const key = primitive("string");
+				return addRule(name, `"{" ws ( ${key} ":" ws ${value} ( "," ws ${key} ":" ws ${value} )* )? "}" ws`);
+			}
+			default:
+				return primitive("string");
+		}
+	};
+
+	const rootRule = visit(schema, "tracker");
+	const lines = [`root ::= ws ${rootRule}`];
+	for (const [ruleName, body] of rules) lines.push(`${ruleName} ::= ${body}`);
+	for (const name of usedPrimitives) lines.push(`${name} ::= ${GBNF_PRIMITIVES[name]}`);
+	return lines.join("\n");
+}
+
+function gbnfLiteral(text) {
+	return `"${text.replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`;
+}
+
+// #endregion
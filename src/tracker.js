@@ -1,13 +1,14 @@
-import { saveChatConditional, chat, chat_metadata, setExtensionPrompt, extension_prompt_roles, deactivateSendButtons, activateSendButtons, getBiasStrings, system_message_types, sendSystemMessage, sendMessageAsUser, removeMacros, stopGeneration, extractMessageBias, messageFormatting } from "../../../../../script.js";
+import { saveChatConditional, chat, chat_metadata, setExtensionPrompt, extension_prompt_roles, extension_prompt_types, deactivateSendButtons, activateSendButtons, getBiasStrings, system_message_types, sendSystemMessage, sendMessageAsUser, removeMacros, stopGeneration, substituteParams } from "../../../../../script.js";
 
 import { hasPendingFileAttachment } from "../../../../../scripts/chats.js";
-import { getMessageTimeStamp } from "../../../../../scripts/RossAscends-mods.js";
 import { debug, getLastNonSystemMessageIndex, getNextNonSystemMessageIndex, getPreviousNonSystemMessageIndex, isSystemMessage, shouldGenerateTracker, shouldShowPopup, warn } from "../lib/utils.js";
 import { extensionSettings } from "../index.js";
 import { generateTracker, getRequestPrompt } from "./generation.js";
-import { generationModes, generationTargets } from "./settings/settings.js";
+import { getGenerationLocks } from "./fieldLocks.js";
+import { generationModes, generationTargets, trackerInjectionPositions, trackerInjectionRoles } from "./settings/settings.js";
 import { jsonToYAML, yamlToJSON } from "../lib/ymlParser.js";
-import { FIELD_INCLUDE_OPTIONS, getDefaultTracker, OUTPUT_FORMATS, getTracker as getCleanTracker } from "./trackerDataHandler.js";
+import { renderTemplate } from "../lib/templateEngine.js";
+import { FIELD_INCLUDE_OPTIONS, getDefaultTracker, OUTPUT_FORMATS, getTracker as getCleanTracker, setMessageTracker, stampTrackerSource, storeSwipeTracker, updateTracker } from "./trackerDataHandler.js";
 import { TrackerEditorModal } from "./ui/trackerEditorModal.js";
 import { TrackerPreviewManager } from "./ui/trackerPreviewManager.js";
 
@@ -28,6 +29,18 @@ const EXTENSION_PROMPT_ROLES = {
 	ASSISTANT: extension_prompt_roles.ASSISTANT,
 };
 
+const INJECTION_POSITIONS = {
+	[trackerInjectionPositions.IN_CHAT]: extension_prompt_types.IN_CHAT,
+	[trackerInjectionPositions.BEFORE_PROMPT]: extension_prompt_types.BEFORE_PROMPT,
+	[trackerInjectionPositions.AFTER_PROMPT]: extension_prompt_types.IN_PROMPT,
+};
+
+const INJECTION_ROLES = {
+	[trackerInjectionRoles.SYSTEM]: EXTENSION_PROMPT_ROLES.SYSTEM,
+	[trackerInjectionRoles.USER]: EXTENSION_PROMPT_ROLES.USER,
+	[trackerInjectionRoles.ASSISTANT]: EXTENSION_PROMPT_ROLES.ASSISTANT,
+};
+
 const SYSTEM_MESSAGE_TYPES = {
 	HELP: system_message_types.HELP,
 	WELCOME: system_message_types.WELCOME,
@@ -72,14 +85,45 @@ export async function injectInlinePrompt(clearTracker = false) {
 }
 
 /**
- * Injects the tracker into the extension prompt system.
- * @param {object} tracker - The tracker object.
- * @param {boolean} clearTracker - If true, clears the tracker.
+ * Injects the tracker into the extension prompt system, wrapped in the injection template.
+ * Fields that are not injected into the prompt are left out. The position, depth and role come from the injection settings.
+ * A template that can't be parsed is injected as it is.
+ * @param {object} tracker - The tracker object, empty to clear the tracker.
+ * @param {number} messageDepth - The depth of the message the tracker belongs to, used when the injection depth is -1.
  */
-export async function injectTracker(tracker = "", position = false) {
-	const trackerYAML = !tracker || tracker == "" ? "" : getCleanTracker(tracker, extensionSettings.trackerDef, FIELD_INCLUDE_OPTIONS.ALL, false, OUTPUT_FORMATS.YAML);
-	debug("Injecting tracker:", { tracker: trackerYAML, position });
-	await setExtensionPrompt("tracker", trackerYAML, 1, position, true, EXTENSION_PROMPT_ROLES.SYSTEM);
+export async function injectTracker(tracker = "", messageDepth = 0) {
+	const trackerDef = getInjectedFields(extensionSettings.trackerDef);
+	let prompt = "";
+	if (tracker && Object.keys(trackerDef).length > 0) {
+		const trackerData = getCleanTracker(tracker, trackerDef, FIELD_INCLUDE_OPTIONS.ALL, false, OUTPUT_FORMATS.JSON);
+		const trackerYAML = getCleanTracker(tracker, trackerDef, FIELD_INCLUDE_OPTIONS.ALL, false, OUTPUT_FORMATS.YAML).trim();
+		try {
+			prompt = renderTemplate(extensionSettings.trackerInjectionTemplate, { tracker: trackerYAML, trackerData }, { resolveMacro: (macro) => substituteParams(macro) });
+		} catch (e) {
+			warn("Failed to render the tracker injection template, using it as it is:", e.message);
+			prompt = extensionSettings.trackerInjectionTemplate;
+		}
+	}
+
+	const position = INJECTION_POSITIONS[extensionSettings.trackerInjectionPosition] ?? extension_prompt_types.IN_CHAT;
+	const depth = extensionSettings.trackerInjectionDepth >= 0 ? extensionSettings.trackerInjectionDepth : messageDepth;
+	const role = INJECTION_ROLES[extensionSettings.trackerInjectionRole] ?? EXTENSION_PROMPT_ROLES.SYSTEM;
+	debug("Injecting tracker:", { tracker: prompt, position, depth, role });
+	await setExtensionPrompt("tracker", prompt, position, depth, true, role);
+}
+
+/**
+ * Returns the fields of a tracker definition that are injected into the prompt, leaving out those with `injectIntoPrompt` turned off.
+ * @param {Object} fields - The tracker definition fields.
+ * @returns {Object} The injected fields.
+ */
+function getInjectedFields(fields) {
+	const injected = {};
+	for (const [fieldId, field] of Object.entries(fields || {})) {
+		if (field.injectIntoPrompt === false) continue;
+		injected[fieldId] = { ...field, nestedFields: getInjectedFields(field.nestedFields) };
+	}
+	return injected;
 }
 
 /**
@@ -148,11 +192,22 @@ async function extractAndSaveInlineTracker(mesId, noSave = false) {
 
 	if (trackerMatch && !mes.tracker) {
 		const trackerYAML = trackerMatch[1];
-		const tracker = getCleanTracker(trackerYAML, extensionSettings.trackerDef, FIELD_INCLUDE_OPTIONS.ALL, true, OUTPUT_FORMATS.JSON);
+		let tracker = getCleanTracker(trackerYAML, extensionSettings.trackerDef, FIELD_INCLUDE_OPTIONS.ALL, true, OUTPUT_FORMATS.JSON);
+
+		// Apply the fields' update policies and locks against the previous tracker
+		const lastMesWithTracker = chat
+			.slice(0, mesId)
+			.filter((prevMes) => prevMes.tracker && Object.keys(prevMes.tracker).length !== 0)
+			.pop();
+		const locks = getGenerationLocks(getPreviousNonSystemMessageIndex(mesId));
+		if (tracker && lastMesWithTracker) {
+			tracker = updateTracker({ ...lastMesWithTracker.tracker, ...locks.values }, tracker, extensionSettings.trackerDef, true, OUTPUT_FORMATS.JSON, true, false, locks.fields);
+		}
+		if (tracker && locks.messageFields.length > 0) tracker._locked = locks.messageFields;
 
 		// Save the tracker JSON back to the message object
 		if (tracker) {
-			mes.tracker = tracker;
+			setMessageTracker(mesId, stampTrackerSource(tracker, getPreviousNonSystemMessageIndex(mesId)));
 			mes.mes = mes.mes.replace(trackerRegex, "").trim();
 		} else {
 			warn(`Failed to parse tracker YAML for message ID ${mesId}`);
@@ -176,6 +231,39 @@ async function refreshInlineTrackers(lastMesId, noSave = false) {
 	if (!noSave) await saveChatConditional();
 }
 
+/**
+ * Makes the tracker of the message's active swipe its tracker after swiping.
+ * A new swipe being generated keeps the current tracker in the staged modes, where it describes the scene before the message,
+ * and starts without one in inline mode, where the tracker is generated along with the message.
+ * @param {number} mesId - The message ID.
+ */
+export async function switchSwipeTracker(mesId) {
+	const mes = chat[mesId];
+	if (!mes) return;
+
+	// Swipes from before trackers were kept per swipe all share the message's tracker
+	const hasTracker = mes.tracker && Object.keys(mes.tracker).length !== 0;
+	if (hasTracker && !mes.swipe_info?.some((info) => info?.extra?.tracker)) {
+		mes.swipe_info?.forEach((info) => {
+			if (!info) return;
+			if (!info.extra) info.extra = {};
+			info.extra.tracker = structuredClone(mes.tracker);
+		});
+	}
+
+	const swipeInfo = mes.swipe_info?.[mes.swipe_id];
+	if (swipeInfo) {
+		if (swipeInfo.extra?.tracker) mes.tracker = structuredClone(swipeInfo.extra.tracker);
+		else delete mes.tracker;
+	} else if (extensionSettings.generationMode === generationModes.INLINE) {
+		delete mes.tracker;
+	}
+	debug("Switched to the tracker of swipe:", { mesId, swipeId: mes.swipe_id, tracker: mes.tracker });
+
+	await saveChatConditional();
+	TrackerPreviewManager.updatePreview(mesId);
+}
+
 //#endregion
 
 //#region Message Generation Functions
@@ -205,57 +293,22 @@ async function handleInlineGeneration(type) {
 	if (type === ACTION_TYPES.CONTINUE) {
 		await refreshInlineTrackers(mesId - 1, true);
 	}
-	if ([ACTION_TYPES.SWIPE, ACTION_TYPES.REGENERATE].includes(type)) {
+	if (type === ACTION_TYPES.REGENERATE) {
 		await refreshInlineTrackers(mesId - 1, true);
 		const mes = chat[mesId];
-		if (type === ACTION_TYPES.REGENERATE && mes.tracker && Object.keys(mes.tracker).length !== 0) {
+		if (mes.tracker && Object.keys(mes.tracker).length !== 0) {
 			const tracker = jsonToYAML(mes.tracker);
 			mes.mes = `<tracker>${tracker}</tracker>\n\n`;
-		} else if (type === ACTION_TYPES.SWIPE && mes.tracker && Object.keys(mes.tracker).length !== 0) {
-			if (mes.swipe_id == null) {
-				mes.swipe_id = 0;
-			}
-			if (!mes.swipes) {
-				mes.swipes = [mes.mes];
-			}
-			if (!mes.swipe_info) {
-				mes.swipe_info = [
-					{
-						send_date: mes.send_date,
-						gen_started: mes.gen_started,
-						gen_finished: mes.gen_finished,
-						extra: structuredClone(mes.extra),
-					},
-				];
-			}
-			const tracker = jsonToYAML(mes.tracker);
-			const trackerString = `<tracker>${tracker}</tracker>\n\n`;
-			mes.swipes.push(trackerString);
-			mes.swipe_info.push({
-				send_date: getMessageTimeStamp(),
-				gen_started: null,
-				gen_finished: null,
-				extra: {
-					bias: extractMessageBias(trackerString),
-					gen_id: Date.now(),
-					api: "manual",
-					model: "slash command",
-				},
-			});
-			mes.swipe_id = mes.swipes.length - 1;
-			mes.mes = trackerString;
-			const mesDom = document.querySelector(`#chat .mes[mesid="${mesId}"]`);
-			mesDom.querySelector(".mes_text").innerHTML = messageFormatting(mes.mes, mes.name, mes.is_system, mes.is_user, Number(mesDom.getAttribute("mesid")));
-			[...mesDom.querySelectorAll(".swipes-counter")].forEach((it) => {
-				it.textContent = `${mes.swipe_id + 1}/${mes.swipes.length}`;
-			});
 		}
-		type = ACTION_TYPES.CONTINUE;
+	} else if (type === ACTION_TYPES.SWIPE) {
+		// The new swipe generates its own tracker, extracted once it is received
+		await refreshInlineTrackers(mesId - 1, true);
+		await injectInlinePrompt();
 	} else {
 		await refreshInlineTrackers(mesId, true);
 		await injectInlinePrompt();
 	}
-	chat_metadata.tracker.inlineTrackerId = mesId;
+	chat_metadata.tracker.inlineTrackerId = type === ACTION_TYPES.SWIPE ? getPreviousNonSystemMessageIndex(mesId) : mesId;
 	await saveChatConditional();
 }
 
@@ -269,21 +322,37 @@ async function handleStagedGeneration(type, options, dryRun) {
 	const manageStopButton = $("#mes_stop").css("display") === "none";
 	if (manageStopButton) deactivateSendButtons();
 
+	try {
+		await prepareStagedTracker(type, options, dryRun);
+	} catch (e) {
+		// Don't leave a half-prepared tracker behind to be saved to the next message
+		chat_metadata.tracker.tempTrackerId = null;
+		chat_metadata.tracker.tempTracker = null;
+		throw e;
+	} finally {
+		if (manageStopButton) activateSendButtons();
+	}
+}
+
+/**
+ * Generates or picks the tracker for the message being generated and injects it into the prompt.
+ * @param {string} type - The type of message generation.
+ * @param {object} options - Additional options for message generation.
+ * @param {boolean} dryRun - If true, the function will simulate the operation without side effects.
+ */
+async function prepareStagedTracker(type, options, dryRun) {
 	await sendUserMessage(type, options, dryRun);
 
 	chat_metadata.tracker.tempTrackerId = null;
 	chat_metadata.tracker.tempTracker = null;
 
 	const mesId = getLastNonSystemMessageIndex();
-	if (mesId === -1) {
-		if (manageStopButton) activateSendButtons();
-		return;
-	}
+	if (mesId === -1) return;
 
 	if (shouldShowPopup(mesId, type)) {
 		const manualTracker = await showManualTrackerPopup(mesId);
 		if (manualTracker) {
-			chat[mesId].tracker = manualTracker;
+			setMessageTracker(mesId, manualTracker);
 			await saveChatConditional();
 			TrackerPreviewManager.updatePreview(mesId);
 		}
@@ -297,7 +366,7 @@ async function handleStagedGeneration(type, options, dryRun) {
 	if ([ACTION_TYPES.CONTINUE, ACTION_TYPES.SWIPE, ACTION_TYPES.REGENERATE].includes(type)) {
 		if (!lastMes.tracker && shouldGenerateTracker(mesId, type)) {
 			const previousMesId = getPreviousNonSystemMessageIndex(mesId);
-			lastMes.tracker = await generateTracker(previousMesId);
+			setMessageTracker(mesId, await generateTracker(previousMesId));
 			if (type !== ACTION_TYPES.REGENERATE) {
 				await saveChatConditional();
 				TrackerPreviewManager.updatePreview(mesId);
@@ -353,8 +422,6 @@ async function handleStagedGeneration(type, options, dryRun) {
 	}
 
 	await injectTracker(tracker, position);
-
-	if (manageStopButton) activateSendButtons();
 }
 
 async function showManualTrackerPopup(mesId = null) {
@@ -418,45 +485,44 @@ export async function addTrackerToMessage(mesId) {
 	 */
 	const saveTrackerToMessage = async (mesId, tracker) => {
 		debug("Adding tracker to message:", { mesId, mes: chat[mesId], tracker });
-		chat[mesId].tracker = tracker;
+		setMessageTracker(mesId, tracker);
 		chat_metadata.tracker.tempTrackerId = null;
 		chat_metadata.tracker.tempTracker = null;
 		chat_metadata.tracker.cmdTrackerOverride = null;
 		await saveChatConditional();
 		TrackerPreviewManager.updatePreview(mesId);
-
-		if (manageStopButton) activateSendButtons();
 	};
 
-	if (extensionSettings.generationMode === generationModes.INLINE) {
-		if (getNextNonSystemMessageIndex(chat_metadata.tracker.inlineTrackerId) === mesId) {
-			await extractAndSaveInlineTracker(mesId, true);
-			await removeInlineTrackers(true);
-		}
-		chat_metadata.tracker.inlineTrackerId = null;
-		await saveChatConditional();
-
-		if (manageStopButton) activateSendButtons();
-		return;
-	} else {
-		const tempId = chat_metadata.tracker.tempTrackerId;
-		if(chat_metadata.tracker.cmdTrackerOverride) {
-			saveTrackerToMessage(mesId, chat_metadata.tracker.cmdTrackerOverride);
-		} else if (tempId != null) {
-			debug("Checking for temp tracker match", { mesId, tempId });
-			const trackerMesId = isSystemMessage(tempId) ? getNextNonSystemMessageIndex(tempId) : tempId;
-			const tracker = chat_metadata.tracker.tempTracker;
-			if (trackerMesId === mesId) {
-				await saveTrackerToMessage(mesId, tracker);
+	try {
+		if (extensionSettings.generationMode === generationModes.INLINE) {
+			if (getNextNonSystemMessageIndex(chat_metadata.tracker.inlineTrackerId) === mesId) {
+				await extractAndSaveInlineTracker(mesId, true);
+				await removeInlineTrackers(true);
 			}
+			chat_metadata.tracker.inlineTrackerId = null;
+			await saveChatConditional();
 		} else {
-			const previousMesId = getPreviousNonSystemMessageIndex(mesId);
-			if (previousMesId !== -1 && shouldGenerateTracker(mesId, undefined)) {
-				debug("Generating for message with missing tracker:", mesId);
-				const tracker = await generateTracker(previousMesId);
-				await saveTrackerToMessage(mesId, tracker);
+			const tempId = chat_metadata.tracker.tempTrackerId;
+			if(chat_metadata.tracker.cmdTrackerOverride) {
+				await saveTrackerToMessage(mesId, chat_metadata.tracker.cmdTrackerOverride);
+			} else if (tempId != null) {
+				debug("Checking for temp tracker match", { mesId, tempId });
+				const trackerMesId = isSystemMessage(tempId) ? getNextNonSystemMessageIndex(tempId) : tempId;
+				const tracker = chat_metadata.tracker.tempTracker;
+				if (trackerMesId === mesId) {
+					await saveTrackerToMessage(mesId, tracker);
+				}
+			} else {
+				const previousMesId = getPreviousNonSystemMessageIndex(mesId);
+				if (previousMesId !== -1 && shouldGenerateTracker(mesId, undefined)) {
+					debug("Generating for message with missing tracker:", mesId);
+					const tracker = await generateTracker(previousMesId);
+					if (tracker) await saveTrackerToMessage(mesId, tracker);
+				}
 			}
 		}
+	} finally {
+		if (manageStopButton) activateSendButtons();
 	}
 }
 
@@ -1,5 +1,6 @@
 import { chat, saveChatDebounced } from "../../../../../script.js";
-import { debug } from "../lib/utils.js";
+import { debug, parseBoolean, parseNumber } from "../lib/utils.js";
+import { evaluateExpression } from "../lib/expressionEvaluator.js";
 
 import { jsonToYAML, yamlToJSON } from "../lib/ymlParser.js";
 import { TrackerPreviewManager } from "./ui/trackerPreviewManager.js";
@@ -15,9 +16,35 @@ export const OUTPUT_FORMATS = {
 	YAML: "yaml",
 };
 
+export const UPDATE_POLICIES = {
+	REPLACE: "replace",
+	IF_CHANGED: "if_changed",
+	APPEND: "append",
+	NEVER: "never",
+	MANUAL: "manual",
+};
+
+// Values a model uses to say "keep what was there" instead of providing an explicit update
+const UNCHANGED_MARKERS = ["", "unchanged", "no change", "same", "updated if changed"];
+
+// Keys holding data about the tracker rather than tracker fields
+const TRACKER_METADATA_KEYS = ["_extraFields", "_confidence", "_source", "_stale", "_locked"];
+
+export const VALIDATION_ISSUES = {
+	MISSING_FIELD: "missing_field",
+	TYPE_MISMATCH: "type_mismatch",
+	UNKNOWN_KEY: "unknown_key",
+	OUT_OF_RANGE: "out_of_range",
+	INVALID_ENUM: "invalid_enum",
+};
+
 // Handlers for different field types
 const FIELD_TYPES_HANDLERS = {
 	STRING: handleString,
+	NUMBER: handleNumber,
+	ENUM: handleEnum,
+	BOOLEAN: handleBoolean,
+	COMPUTED: handleComputed,
 	ARRAY: handleArray,
 	OBJECT: handleObject,
 	FOR_EACH_OBJECT: handleForEachObject,
@@ -34,8 +61,13 @@ const FIELD_TYPES_HANDLERS = {
  */
 export function saveTracker(tracker, backendObj, mesId, useUpdatedExtraFieldsAsSource = false) {
 	const originalTracker = getTracker(chat[mesId].tracker, backendObj, FIELD_INCLUDE_OPTIONS.ALL, true, OUTPUT_FORMATS.JSON);
-	const updatedTracker = updateTracker(originalTracker, tracker, backendObj, true, OUTPUT_FORMATS.JSON, useUpdatedExtraFieldsAsSource);
-	chat[mesId].tracker = updatedTracker;
+	const updatedTracker = updateTracker(originalTracker, tracker, backendObj, true, OUTPUT_FORMATS.JSON, useUpdatedExtraFieldsAsSource, true);
+	// Editing the tracker doesn't change the messages it was generated from or its locked fields, a regenerated tracker brings its own
+	const metadataSource = tracker?._source ? tracker : chat[mesId].tracker;
+	for (const key of ["_source", "_stale", "_locked"]) {
+		if (metadataSource?.[key] !== undefined) updatedTracker[key] = metadataSource[key];
+	}
+	setMessageTracker(mesId, updatedTracker);
 
 	saveChatDebounced();
 	TrackerPreviewManager.updatePreview(mesId);
@@ -43,6 +75,63 @@ export function saveTracker(tracker, backendObj, mesId, useUpdatedExtraFieldsAsS
 	return updatedTracker;
 }
 
+/**
+ * Sets the tracker of a message. A message with swipes also keeps it with the active swipe, so every swipe has its own tracker.
+ * @param {number} mesId - The message ID.
+ * @param {Object|null} tracker - The tracker, empty to remove it.
+ */
+export function setMessageTracker(mesId, tracker) {
+	chat[mesId].tracker = tracker;
+	storeSwipeTracker(mesId);
+}
+
+/**
+ * Stores the tracker of a message with its active swipe, or removes the stored one if the message has no tracker.
+ * Does nothing for messages without swipes or a swipe that isn't saved yet.
+ * @param {number} mesId - The message ID.
+ */
+export function storeSwipeTracker(mesId) {
+	const mes = chat[mesId];
+	const swipeInfo = mes?.swipe_info?.[mes.swipe_id ?? 0];
+	if (!swipeInfo) return;
+
+	if (!swipeInfo.extra) swipeInfo.extra = {};
+	if (mes.tracker && Object.keys(mes.tracker).length !== 0) swipeInfo.extra.tracker = structuredClone(mes.tracker);
+	else delete swipeInfo.extra.tracker;
+}
+
+/**
+ * Returns a hash of the text of a message, ignoring inline tracker tags, to notice when the message changes.
+ * @param {number} mesId - The message ID.
+ * @returns {string|null} - The hash, or null if the message doesn't exist.
+ */
+export function getMessageHash(mesId) {
+	const text = chat[mesId]?.mes;
+	if (typeof text !== "string") return null;
+
+	// FNV-1a, enough to tell versions of a message apart
+	let hash = 0x811c9dc5;
+	for (const char of text.replace(/<tracker>[\s\S]*?<\/tracker>/g, "").trim()) {
+		hash ^= char.codePointAt(0);
+		hash = Math.imul(hash, 0x01000193);
+	}
+	return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+/**
+ * Records the message a tracker was generated from in its `_source`, so the tracker can be marked stale when that message changes.
+ * @param {Object} tracker - The tracker, modified in place.
+ * @param {number} sourceMesId - The last message the tracker was generated from.
+ * @returns {Object} - The tracker.
+ */
+export function stampTrackerSource(tracker, sourceMesId) {
+	if (!isPlainObject(tracker)) return tracker;
+	const hash = getMessageHash(sourceMesId);
+	if (hash) tracker._source = { hash };
+	delete tracker._stale;
+	return tracker;
+}
+
 /**
  * Generates example trackers using the example values from the backendObject.
  * @param {Object} backendObject - The backend object defining the tracker structure.
@@ -57,6 +146,7 @@ export function getExampleTrackers(backendObject, includeFields = FIELD_INCLUDE_
 	for (let i = 0; i < numExamples; i++) {
 		const tracker = {};
 		processFieldExamples(backendObject, tracker, includeFields, i);
+		removeComputedFields(tracker, backendObject);
 		trackers.push(formatOutput(tracker, outputFormat));
 	}
 
@@ -73,6 +163,7 @@ export function getExampleTrackers(backendObject, includeFields = FIELD_INCLUDE_
 export function getDefaultTracker(backendObject, includeFields = FIELD_INCLUDE_OPTIONS.DYNAMIC, outputFormat = OUTPUT_FORMATS.JSON) {
 	const tracker = {};
 	processFieldDefaults(backendObject, tracker, includeFields);
+	evaluateComputedFields(tracker, backendObject);
 	return formatOutput(tracker, outputFormat);
 }
 
@@ -92,6 +183,7 @@ export function getTracker(trackerInput, backendObject, includeFields = FIELD_IN
 	let extraFields = {};
 
 	reconcileTracker(tracker, backendObject, reconciledTracker, extraFields, includeFields);
+	evaluateComputedFields(reconciledTracker, backendObject);
 
 	if (includeUnmatchedFields) {
 		extraFields = cleanEmptyObjects(extraFields);
@@ -107,11 +199,13 @@ export function getTracker(trackerInput, backendObject, includeFields = FIELD_IN
  * Generates a tracker prompt string from the backendObject.
  * @param {Object} backendObject - The backend object defining the tracker structure.
  * @param {string} includeFields - Which fields to include ('dynamic', 'static', 'all').
+ * @param {string[]} [lockedFields=[]] - Names of locked top-level fields, left out of the prompt.
  * @returns {string} - The tracker prompt string.
  */
-export function getTrackerPrompt(backendObject, includeFields = FIELD_INCLUDE_OPTIONS.DYNAMIC) {
+export function getTrackerPrompt(backendObject, includeFields = FIELD_INCLUDE_OPTIONS.DYNAMIC, lockedFields = []) {
 	const lines = [];
-	buildPrompt(backendObject, includeFields, 0, lines);
+	const fields = Object.fromEntries(Object.entries(backendObject).filter(([, field]) => !lockedFields.includes(field.name)));
+	buildPrompt(fields, includeFields, 0, lines);
 	return lines.join("\n").trim();
 }
 
@@ -122,17 +216,21 @@ export function getTrackerPrompt(backendObject, includeFields = FIELD_INCLUDE_OP
  * @param {Object} backendObject - The backend object defining the tracker structure.
  * @param {boolean} includeUnmatchedFields - Whether to include unmatched fields in '_extraFields'.
  * @param {string} outputFormat - The desired output format ('json' or 'yaml').
+ * @param {boolean} useUpdatedExtraFieldsAsSource - Whether to take '_extraFields' from the updated tracker only.
+ * @param {boolean} isManualUpdate - Whether the update comes from the user. Manual updates bypass the fields' update policies and locks.
+ * @param {string[]} [lockedFields=[]] - Names of locked top-level fields, whose values are kept from the existing tracker.
  * @returns {Object|string} - The updated tracker in the specified format.
  */
-export function updateTracker(tracker, updatedTrackerInput, backendObject, includeUnmatchedFields = true, outputFormat = OUTPUT_FORMATS.JSON, useUpdatedExtraFieldsAsSource = false) {
-	debug("Updating tracker:", { tracker, updatedTrackerInput, backendObject, includeUnmatchedFields, outputFormat });
+export function updateTracker(tracker, updatedTrackerInput, backendObject, includeUnmatchedFields = true, outputFormat = OUTPUT_FORMATS.JSON, useUpdatedExtraFieldsAsSource = false, isManualUpdate = false, lockedFields = []) {
+	debug("Updating tracker:", { tracker, updatedTrackerInput, backendObject, includeUnmatchedFields, outputFormat, isManualUpdate, lockedFields });
 	tracker = typeof tracker === "string" ? yamlToJSON(tracker) : tracker;
 	const updatedTracker = typeof updatedTrackerInput === "string" ? yamlToJSON(updatedTrackerInput) : updatedTrackerInput;
 
 	const finalTracker = {};
 	let extraFields = {};
 
-	reconcileUpdatedTracker(tracker, updatedTracker, backendObject, finalTracker, extraFields, "", includeUnmatchedFields, useUpdatedExtraFieldsAsSource);
+	reconcileUpdatedTracker(tracker, updatedTracker, backendObject, finalTracker, extraFields, "", includeUnmatchedFields, useUpdatedExtraFieldsAsSource, isManualUpdate, lockedFields);
+	evaluateComputedFields(finalTracker, backendObject);
 
 	if (includeUnmatchedFields && !useUpdatedExtraFieldsAsSource) {
 		extraFields = cleanEmptyObjects(extraFields);
@@ -146,6 +244,144 @@ export function updateTracker(tracker, updatedTrackerInput, backendObject, inclu
 	return formatOutput(finalTracker, outputFormat);
 }
 
+/**
+ * Validates a tracker against the backendObject without modifying it.
+ * Unlike getTracker, which silently moves mismatched data into '_extraFields', this reports every problem
+ * together with the JSON path of the offending value (e.g. `$.Characters["Alice"].Outfit`).
+ * Entries found in '_extraFields' are reported at the path they were originally found at.
+ * @param {Object|string} trackerInput - The tracker object or a JSON/YAML string.
+ * @param {Object} backendObject - The backend object defining the tracker structure.
+ * @param {string} includeFields - Which fields are expected to be present ('dynamic', 'static', 'all').
+ * @returns {Array<{path: string, type: string, message: string}>} - The problems found, empty if the tracker is valid.
+ */
+export function validateTracker(trackerInput, backendObject, includeFields = FIELD_INCLUDE_OPTIONS.ALL) {
+	const problems = [];
+	let tracker = trackerInput;
+
+	if (typeof trackerInput === "string") {
+		try {
+			tracker = JSON.parse(trackerInput);
+		} catch {
+			try {
+				tracker = JSON.parse(yamlToJSON(trackerInput));
+			} catch (e) {
+				problems.push({ path: "$", type: VALIDATION_ISSUES.TYPE_MISMATCH, message: `Tracker could not be parsed: ${e.message}` });
+				return problems;
+			}
+		}
+	}
+
+	if (!isPlainObject(tracker)) {
+		problems.push({ path: "$", type: VALIDATION_ISSUES.TYPE_MISMATCH, message: `Expected an object but got ${describeValue(tracker)}.` });
+		return problems;
+	}
+
+	validateFields(tracker, backendObject, "$", includeFields, problems);
+	if (tracker._extraFields !== undefined) {
+		validateExtraFields(tracker._extraFields, backendObject, "$", problems);
+	}
+
+	return problems;
+}
+
+/**
+ * Migrates a tracker from one version of the backendObject to another.
+ * Fields are matched by their field id, so renamed fields keep their values and values of changed
+ * field types are converted where possible (e.g. a comma separated string to an array).
+ * Values that a previous version moved into '_extraFields' because of a rename are recovered,
+ * and values of removed fields are kept in '_extraFields'.
+ * @param {Object} tracker - The tracker object stored with the old definition.
+ * @param {Object} fromBackendObject - The backend object the tracker was created with.
+ * @param {Object} toBackendObject - The backend object to migrate to.
+ * @returns {Object} - The migrated tracker. The input tracker is not modified.
+ */
+export function migrateTracker(tracker, fromBackendObject, toBackendObject) {
+	if (!isPlainObject(tracker)) return tracker;
+
+	const source = JSON.parse(JSON.stringify(tracker));
+	const extraFields = isPlainObject(source._extraFields) ? source._extraFields : null;
+	delete source._extraFields;
+	delete source._confidence; // Recorded for the fields of the old definition
+	delete source._source;
+	delete source._stale;
+	delete source._locked;
+
+	const migrated = migrateFields(source, fromBackendObject, toBackendObject, extraFields);
+
+	if (extraFields) {
+		const remainingExtraFields = cleanEmptyObjects(extraFields);
+		if (Object.keys(remainingExtraFields).length > 0) migrated._extraFields = mergeExtraFields(migrated._extraFields || {}, remainingExtraFields);
+	} else if (tracker._extraFields !== undefined) {
+		migrated._extraFields = mergeExtraFields(migrated._extraFields || {}, tracker._extraFields);
+	}
+	if (migrated._extraFields && Object.keys(migrated._extraFields).length === 0) delete migrated._extraFields;
+	if (tracker._source !== undefined) migrated._source = structuredClone(tracker._source);
+	if (tracker._stale) migrated._stale = true;
+	if (Array.isArray(tracker._locked)) {
+		const locked = migrateFieldNames(tracker._locked, fromBackendObject, toBackendObject);
+		if (locked.length > 0) migrated._locked = locked;
+	}
+
+	return migrated;
+}
+
+/**
+ * Applies a tracker patch, holding only the values that changed, to a tracker.
+ * The patch is merged like a JSON Merge Patch: objects are merged key by key, other values replace the previous ones
+ * and `null` removes an entry, e.g. a character who left the scene. A `null` for a field of the backendObject resets
+ * the field to its default value instead, so the tracker keeps its structure. Patch keys are matched to fields by name or alias.
+ * @param {Object} tracker - The tracker to patch.
+ * @param {Object} patch - The tracker patch.
+ * @param {Object} backendObject - The backend object defining the tracker structure.
+ * @returns {Object} - The patched tracker, to be reconciled with updateTracker. The input tracker is not modified.
+ */
+export function applyTrackerPatch(tracker, patch, backendObject) {
+	const source = isPlainObject(tracker) ? JSON.parse(JSON.stringify(tracker)) : {};
+	if (!isPlainObject(patch)) return source;
+	return patchFields(source, patch, backendObject);
+}
+
+/**
+ * Returns the tracker patch turning one tracker into another, the reverse of applyTrackerPatch.
+ * @param {Object} tracker - The previous tracker.
+ * @param {Object} updatedTracker - The updated tracker.
+ * @returns {Object} - The patch, empty if both trackers are equal.
+ */
+export function getTrackerPatch(tracker, updatedTracker) {
+	const patch = {};
+	for (const key of Object.keys(tracker || {})) {
+		if (!Object.prototype.hasOwnProperty.call(updatedTracker, key)) patch[key] = null;
+	}
+	for (const [key, value] of Object.entries(updatedTracker || {})) {
+		const previousValue = tracker?.[key];
+		if (isPlainObject(previousValue) && isPlainObject(value)) {
+			const nestedPatch = getTrackerPatch(previousValue, value);
+			if (Object.keys(nestedPatch).length > 0) patch[key] = nestedPatch;
+		} else if (JSON.stringify(previousValue) !== JSON.stringify(value)) {
+			patch[key] = value;
+		}
+	}
+	return patch;
+}
+
+/**
+ * Merges trackers generated from the same prompt into one, field by field, so noise in single samples is voted out.
+ * Strings, enums and booleans take the most common value, numbers the median (the lower one for an even count),
+ * and array items and FOR_EACH keys are kept if they appear in at least `threshold` of the samples.
+ * The agreement recorded for each field is the average similarity of the samples to the merged value, from 0 to 1.
+ * @param {Object[]} samples - The generated trackers.
+ * @param {Object} backendObject - The backend object defining the tracker structure.
+ * @param {number} [threshold=0.5] - Share of the samples an array item or FOR_EACH key has to appear in.
+ * @returns {{tracker: Object, confidence: Object<string, number>}} - The merged tracker and the agreement of each field
+ * by its JSON path (e.g. `$.Characters["Alice"].Outfit`).
+ */
+export function mergeTrackerSamples(samples, backendObject, threshold = 0.5) {
+	samples = samples.filter(isPlainObject);
+	const context = { sampleCount: samples.length, threshold, confidence: {} };
+	const tracker = mergeSampleFields(samples, backendObject, "$", context);
+	return { tracker, confidence: context.confidence };
+}
+
 /* Helper Functions */
 
 function getMaxExampleCount(backendObject) {
@@ -183,18 +419,19 @@ function processFieldDefaults(backendObj, trackerObj, includeFields) {
 }
 
 function reconcileTracker(trackerInput, backendObj, reconciledObj, extraFields, includeFields) {
+	const matchedKeys = new Set();
 	for (const field of Object.values(backendObj)) {
 		if (!shouldIncludeField(field, includeFields)) continue;
 
 		const fieldName = field.name;
-		const trackerValue = trackerInput[fieldName];
+		const trackerValue = getFieldValue(trackerInput, field, matchedKeys);
 		const handler = FIELD_TYPES_HANDLERS[field.type] || handleString;
 		reconciledObj[fieldName] = handler(field, includeFields, null, trackerValue, extraFields);
 	}
 
 	// Handle extra fields
 	for (const key in trackerInput) {
-		if (!Object.prototype.hasOwnProperty.call(reconciledObj, key) && key !== "_extraFields") {
+		if (!matchedKeys.has(key) && !Object.prototype.hasOwnProperty.call(reconciledObj, key) && !TRACKER_METADATA_KEYS.includes(key)) {
 			extraFields[key] = trackerInput[key]; // Preserve original structure and data type
 		}
 	}
@@ -205,12 +442,16 @@ function reconcileTracker(trackerInput, backendObj, reconciledObj, extraFields,
 	}
 }
 
-function reconcileUpdatedTracker(tracker, updatedTracker, backendObj, finalTracker, extraFields, fieldPath = "", includeUnmatchedFields, useUpdatedExtraFieldsAsSource = false) {
+function reconcileUpdatedTracker(tracker, updatedTracker, backendObj, finalTracker, extraFields, fieldPath = "", includeUnmatchedFields, useUpdatedExtraFieldsAsSource = false, isManualUpdate = false, lockedFields = []) {
+	const matchedKeys = new Set();
+	const matchedUpdatedKeys = new Set();
 	for (const field of Object.values(backendObj)) {
 		const fieldName = field.name;
 		const handler = FIELD_TYPES_HANDLERS[field.type] || handleString;
-		const trackerValue = tracker[fieldName];
-		const updatedValue = updatedTracker[fieldName];
+		const trackerValue = getFieldValue(tracker, field, matchedKeys);
+		const generatedValue = getFieldValue(updatedTracker, field, matchedUpdatedKeys);
+		const isLocked = !isManualUpdate && lockedFields.includes(fieldName);
+		const updatedValue = isLocked ? trackerValue : applyUpdatePolicy(field, trackerValue, generatedValue, isManualUpdate);
 
 		debug("Reconciling field:", { fieldName, fieldPath, trackerValue, updatedValue });
 		finalTracker[fieldName] = handler(field, FIELD_INCLUDE_OPTIONS.ALL, null, updatedValue !== undefined ? updatedValue : trackerValue, extraFields);
@@ -218,7 +459,7 @@ function reconcileUpdatedTracker(tracker, updatedTracker, backendObj, finalTrack
 
 	if (includeUnmatchedFields) {
 		for (const key in updatedTracker) {
-			if (!Object.prototype.hasOwnProperty.call(finalTracker, key) && key !== "_extraFields") {
+			if (!matchedUpdatedKeys.has(key) && !Object.prototype.hasOwnProperty.call(finalTracker, key) && !TRACKER_METADATA_KEYS.includes(key)) {
 				extraFields[key] = updatedTracker[key]; // Preserve original structure and data type
 			}
 		}
@@ -226,7 +467,7 @@ function reconcileUpdatedTracker(tracker, updatedTracker, backendObj, finalTrack
 		if (!useUpdatedExtraFieldsAsSource) {
 			// Handle extra fields from the original tracker
 			for (const key in tracker) {
-				if (!Object.prototype.hasOwnProperty.call(finalTracker, key) && !Object.prototype.hasOwnProperty.call(extraFields, key) && key !== "_extraFields") {
+				if (!matchedKeys.has(key) && !Object.prototype.hasOwnProperty.call(finalTracker, key) && !Object.prototype.hasOwnProperty.call(extraFields, key) && !TRACKER_METADATA_KEYS.includes(key)) {
 					extraFields[key] = tracker[key]; // Preserve original structure and data type
 				}
 			}
@@ -241,8 +482,580 @@ function reconcileUpdatedTracker(tracker, updatedTracker, backendObj, finalTrack
 	}
 }
 
-function shouldIncludeField(field, includeFields) {
+function validateFields(obj, backendObj, path, includeFields, problems) {
+	const fields = Object.values(backendObj || {});
+	const matchedKeys = new Set();
+
+	for (const field of fields) {
+		if (!shouldIncludeField(field, includeFields)) continue;
+
+		const key = findFieldKey(obj, field, matchedKeys);
+		const fieldPath = joinPath(path, key ?? field.name);
+		if (key === undefined || obj[key] === undefined) {
+			problems.push({ path: fieldPath, type: VALIDATION_ISSUES.MISSING_FIELD, message: `Missing field "${field.name}".` });
+			continue;
+		}
+		matchedKeys.add(key);
+		validateFieldValue(field, obj[key], fieldPath, includeFields, problems);
+	}
+
+	for (const key of Object.keys(obj)) {
+		if (TRACKER_METADATA_KEYS.includes(key) || matchedKeys.has(key) || fields.some((field) => field.name === key)) continue;
+		problems.push({ path: joinPath(path, key), type: VALIDATION_ISSUES.UNKNOWN_KEY, message: `Unknown key "${key}" is not part of the tracker definition.` });
+	}
+}
+
+function validateFieldValue(field, value, path, includeFields, problems) {
+	const mismatch = (expected) => problems.push({ path, type: VALIDATION_ISSUES.TYPE_MISMATCH, message: `Expected ${expected} but got ${describeValue(value)}.` });
+
+	switch (field.type) {
+		case "NUMBER": {
+			const number = parseNumber(value);
+			if (number === null) {
+				mismatch("a number");
+				break;
+			}
+			const min = parseNumber(field.min);
+			const max = parseNumber(field.max);
+			if ((min !== null && number < min) || (max !== null && number > max)) {
+				const range = [min !== null ? `>= ${min}` : null, max !== null ? `<= ${max}` : null].filter(Boolean).join(" and ");
+				problems.push({ path, type: VALIDATION_ISSUES.OUT_OF_RANGE, message: `Value ${number} is out of range (${range}).` });
+			}
+			break;
+		}
+		case "ENUM":
+			if (value === null || typeof value === "object") {
+				mismatch("one of the allowed values");
+			} else if (normalizeEnumValue(value, field) === null) {
+				const allowed = (field.allowedValues || []).map((allowedValue) => `"${allowedValue}"`).join(", ");
+				problems.push({ path, type: VALIDATION_ISSUES.INVALID_ENUM, message: `${describeValue(value)} is not one of the allowed values (${allowed}).` });
+			}
+			break;
+		case "BOOLEAN":
+			if (parseBoolean(value) === null) mismatch("true or false");
+			break;
+		case "COMPUTED":
+			break;
+		case "ARRAY":
+			if (!Array.isArray(value)) mismatch("a list");
+			break;
+		case "OBJECT":
+		case "ARRAY_OBJECT":
+			if (!isPlainObject(value)) mismatch("an object");
+			else validateFields(value, field.nestedFields, path, includeFields, problems);
+			break;
+		case "FOR_EACH_OBJECT":
+			if (!isPlainObject(value)) {
+				mismatch("an object keyed by name");
+				break;
+			}
+			for (const [key, item] of Object.entries(value)) {
+				const itemPath = joinPath(path, key);
+				if (!isPlainObject(item)) {
+					problems.push({ path: itemPath, type: VALIDATION_ISSUES.TYPE_MISMATCH, message: `Expected an object but got ${describeValue(item)}.` });
+				} else {
+					validateFields(item, field.nestedFields, itemPath, includeFields, problems);
+				}
+			}
+			break;
+		case "FOR_EACH_ARRAY": {
+			if (!isPlainObject(value)) {
+				mismatch("an object keyed by name");
+				break;
+			}
+			const nestedFieldArray = Object.values(field.nestedFields || {});
+			const singleStringField = nestedFieldArray.length === 1 && nestedFieldArray[0].type === "STRING";
+			for (const [key, items] of Object.entries(value)) {
+				const itemsPath = joinPath(path, key);
+				if (!Array.isArray(items)) {
+					problems.push({ path: itemsPath, type: VALIDATION_ISSUES.TYPE_MISMATCH, message: `Expected a list but got ${describeValue(items)}.` });
+					continue;
+				}
+				items.forEach((item, itemIndex) => {
+					const itemPath = `${itemsPath}[${itemIndex}]`;
+					if (singleStringField) {
+						if (typeof item !== "string") problems.push({ path: itemPath, type: VALIDATION_ISSUES.TYPE_MISMATCH, message: `Expected text but got ${describeValue(item)}.` });
+					} else if (!isPlainObject(item)) {
+						problems.push({ path: itemPath, type: VALIDATION_ISSUES.TYPE_MISMATCH, message: `Expected an object but got ${describeValue(item)}.` });
+					} else {
+						validateFields(item, field.nestedFields, itemPath, includeFields, problems);
+					}
+				});
+			}
+			break;
+		}
+		default:
+			if (typeof value !== "string") mismatch("text");
+	}
+}
+
+function validateExtraFields(extraFields, backendObj, path, problems) {
+	if (!isPlainObject(extraFields)) {
+		problems.push({ path: joinPath(path, "_extraFields"), type: VALIDATION_ISSUES.UNKNOWN_KEY, message: `Unmatched data ${describeValue(extraFields)} is kept in _extraFields.` });
+		return;
+	}
+
+	const fields = Object.values(backendObj || {});
+	for (const [key, value] of Object.entries(extraFields)) {
+		const keyPath = joinPath(path, key);
+		const field = fields.find((f) => f.name === key);
+
+		if (!field) {
+			problems.push({ path: keyPath, type: VALIDATION_ISSUES.UNKNOWN_KEY, message: `Unknown key "${key}" is not part of the tracker definition.` });
+		} else if (isPlainObject(value) && ["OBJECT", "ARRAY_OBJECT"].includes(field.type)) {
+			validateExtraFields(value, field.nestedFields, keyPath, problems);
+		} else if (isPlainObject(value) && field.type === "FOR_EACH_OBJECT") {
+			for (const [itemKey, item] of Object.entries(value)) {
+				validateExtraFields(item, field.nestedFields, joinPath(keyPath, itemKey), problems);
+			}
+		} else if (isPlainObject(value) && field.type === "FOR_EACH_ARRAY") {
+			for (const [itemKey, items] of Object.entries(value)) {
+				const itemsPath = joinPath(keyPath, itemKey);
+				if (!Array.isArray(items)) {
+					problems.push({ path: itemsPath, type: VALIDATION_ISSUES.TYPE_MISMATCH, message: `Expected a list but got ${describeValue(items)}.` });
+					continue;
+				}
+				items.forEach((item, itemIndex) => {
+					if (isPlainObject(item)) validateExtraFields(item, field.nestedFields, `${itemsPath}[${itemIndex}]`, problems);
+					else problems.push({ path: `${itemsPath}[${itemIndex}]`, type: VALIDATION_ISSUES.TYPE_MISMATCH, message: `Unmatched item ${describeValue(item)} is kept in _extraFields.` });
+				});
+			}
+		} else {
+			validateFieldValue(field, value, keyPath, FIELD_INCLUDE_OPTIONS.ALL, problems);
+		}
+	}
+}
+
+function isPlainObject(value) {
+	return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function joinPath(path, key) {
+	return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+function describeValue(value) {
+	if (value === null) return "null";
+	if (Array.isArray(value)) return "a list";
+	if (typeof value === "object") return "an object";
+	const text = JSON.stringify(value);
+	return text.length > 40 ? `${text.slice(0, 37)}...` : text;
+}
+
+/**
+ * Evaluates the expressions of all computed fields in a reconciled tracker, in definition order.
+ * Expressions can reference sibling fields as well as fields of any parent object; inside
+ * FOR_EACH collections the current entry's key is available as `_key` and list positions as `_index`.
+ * A failing expression leaves the field empty instead of breaking the tracker.
+ * @param {Object} trackerObj - The reconciled tracker (or nested object) to update in place.
+ * @param {Object} backendObj - The backend object (or nested fields) defining the structure.
+ * @param {Array<Object>} scopes - The enclosing objects, outermost first.
+ */
+function evaluateComputedFields(trackerObj, backendObj, scopes = []) {
+	if (!isPlainObject(trackerObj)) return;
+	const scopeChain = [...scopes, trackerObj];
+
+	for (const field of Object.values(backendObj || {})) {
+		if (!Object.prototype.hasOwnProperty.call(trackerObj, field.name)) continue;
+		const value = trackerObj[field.name];
+
+		switch (field.type) {
+			case "COMPUTED":
+				try {
+					trackerObj[field.name] = field.expression ? evaluateExpression(field.expression, scopeChain) : null;
+				} catch (e) {
+					debug(`Failed to evaluate computed field "${field.name}":`, e.message);
+					trackerObj[field.name] = null;
+				}
+				break;
+			case "OBJECT":
+			case "ARRAY_OBJECT":
+				evaluateComputedFields(value, field.nestedFields, scopeChain);
+				break;
+			case "FOR_EACH_OBJECT":
+				if (!isPlainObject(value)) break;
+				for (const [key, item] of Object.entries(value)) {
+					evaluateComputedFields(item, field.nestedFields, [...scopeChain, { _key: key }]);
+				}
+				break;
+			case "FOR_EACH_ARRAY":
+				if (!isPlainObject(value)) break;
+				for (const [key, items] of Object.entries(value)) {
+					if (!Array.isArray(items)) continue;
+					items.forEach((item, itemIndex) => evaluateComputedFields(item, field.nestedFields, [...scopeChain, { _key: key, _index: itemIndex }]));
+				}
+				break;
+		}
+	}
+}
+
+function removeComputedFields(trackerObj, backendObj) {
+	if (!isPlainObject(trackerObj)) return;
+
+	for (const field of Object.values(backendObj || {})) {
+		const value = trackerObj[field.name];
+
+		if (field.type === "COMPUTED") {
+			delete trackerObj[field.name];
+		} else if (field.type === "OBJECT" || field.type === "ARRAY_OBJECT") {
+			removeComputedFields(value, field.nestedFields);
+		} else if ((field.type === "FOR_EACH_OBJECT" || field.type === "FOR_EACH_ARRAY") && isPlainObject(value)) {
+			Object.values(value).forEach((item) => (Array.isArray(item) ? item.forEach((entry) => removeComputedFields(entry, field.nestedFields)) : removeComputedFields(item, field.nestedFields)));
+		}
+	}
+}
+
+/**
+ * Decides which value a field takes when an existing tracker is updated, based on the field's update policy.
+ * - replace: the updated value always wins (default).
+ * - if_changed: the existing value is kept unless the update provides an explicit, non-empty value.
+ * - append: lists gain the new items and keyed collections keep entries that were not mentioned; other types are replaced.
+ * - never: the existing value is only filled in when it is empty.
+ * - manual: only the user can change the value.
+ * Nested fields of objects follow their own policies.
+ * @param {Object} field - The field definition.
+ * @param {*} currentValue - The value in the existing tracker.
+ * @param {*} updatedValue - The value in the updated tracker.
+ * @param {boolean} isManualUpdate - Whether the update comes from the user.
+ * @returns {*} - The value to reconcile, undefined if the field has no value.
+ */
+function applyUpdatePolicy(field, currentValue, updatedValue, isManualUpdate = false) {
+	if (updatedValue === undefined) return currentValue;
+	if (isManualUpdate) return updatedValue;
+
+	const policy = field.updatePolicy || UPDATE_POLICIES.REPLACE;
+	if (currentValue === undefined || currentValue === null) {
+		return policy === UPDATE_POLICIES.MANUAL ? currentValue : updatedValue;
+	}
+
+	switch (policy) {
+		case UPDATE_POLICIES.MANUAL:
+			return currentValue;
+		case UPDATE_POLICIES.NEVER:
+			return isUnchangedValue(currentValue) ? updatedValue : currentValue;
+		case UPDATE_POLICIES.IF_CHANGED:
+			return isUnchangedValue(updatedValue) ? currentValue : mergeNestedUpdates(field, currentValue, updatedValue);
+		case UPDATE_POLICIES.APPEND:
+			return mergeNestedUpdates(field, currentValue, updatedValue, true);
+		default:
+			return mergeNestedUpdates(field, currentValue, updatedValue);
+	}
+}
+
+function mergeNestedUpdates(field, currentValue, updatedValue, append = false) {
+	const nestedFields = field.nestedFields || {};
+
+	if (append && Array.isArray(currentValue) && Array.isArray(updatedValue)) {
+		const seen = new Set(currentValue.map((item) => JSON.stringify(item)));
+		return [...currentValue, ...updatedValue.filter((item) => !seen.has(JSON.stringify(item)))];
+	}
+
+	if (!isPlainObject(currentValue) || !isPlainObject(updatedValue)) return updatedValue;
+	if (!append && !hasUpdatePolicies(nestedFields)) return updatedValue;
+
+	switch (field.type) {
+		case "OBJECT":
+		case "ARRAY_OBJECT": {
+			const merged = mergeObjectFields(nestedFields, currentValue, updatedValue);
+			return append ? { ...currentValue, ...merged } : merged;
+		}
+		case "FOR_EACH_OBJECT": {
+			const merged = append ? { ...currentValue } : {};
+			for (const [key, item] of Object.entries(updatedValue)) {
+				merged[key] = isPlainObject(currentValue[key]) && isPlainObject(item) ? mergeObjectFields(nestedFields, currentValue[key], item) : item;
+			}
+			return merged;
+		}
+		case "FOR_EACH_ARRAY": {
+			if (!append) return updatedValue;
+			const merged = { ...currentValue };
+			for (const [key, items] of Object.entries(updatedValue)) {
+				merged[key] = mergeNestedUpdates({ type: "ARRAY" }, currentValue[key], items, true);
+			}
+			return merged;
+		}
+		default:
+			return updatedValue;
+	}
+}
+
+function mergeObjectFields(nestedFields, currentValue, updatedValue) {
+	const merged = { ...updatedValue };
+	for (const nestedField of Object.values(nestedFields)) {
+		const updatedKey = findFieldKey(updatedValue, nestedField);
+		if (updatedKey !== undefined && updatedKey !== nestedField.name) delete merged[updatedKey];
+		const value = applyUpdatePolicy(nestedField, getFieldValue(currentValue, nestedField), updatedKey !== undefined ? updatedValue[updatedKey] : undefined);
+		if (value !== undefined) merged[nestedField.name] = value;
+	}
+	return merged;
+}
+
+function hasUpdatePolicies(fields) {
+	return Object.values(fields || {}).some((field) => (field.updatePolicy && field.updatePolicy !== UPDATE_POLICIES.REPLACE) || hasUpdatePolicies(field.nestedFields));
+}
+
+function isUnchangedValue(value) {
+	if (value === null || value === undefined) return true;
+	if (typeof value === "string") return UNCHANGED_MARKERS.includes(value.trim().toLowerCase());
+	if (Array.isArray(value)) return value.length === 0;
+	if (typeof value === "object") return Object.keys(value).length === 0;
+	return false;
+}
+
+function patchFields(tracker, patch, fields) {
+	const patched = { ...tracker };
+	for (const [key, value] of Object.entries(patch)) {
+		const field = Object.values(fields || {}).find((candidate) => findFieldKey({ [key]: value }, candidate) !== undefined);
+		const trackerKey = field ? findFieldKey(patched, field) ?? field.name : key;
+
+		if (value === null) {
+			if (field) patched[trackerKey] = (FIELD_TYPES_HANDLERS[field.type] || handleString)(field, FIELD_INCLUDE_OPTIONS.ALL);
+			else delete patched[trackerKey];
+		} else if (isPlainObject(value) && isPlainObject(patched[trackerKey])) {
+			patched[trackerKey] = patchFieldValue(field, patched[trackerKey], value);
+		} else {
+			patched[trackerKey] = value;
+		}
+	}
+	return patched;
+}
+
+function patchFieldValue(field, currentValue, patch) {
+	switch (field?.type) {
+		case "OBJECT":
+		case "ARRAY_OBJECT":
+			return patchFields(currentValue, patch, field.nestedFields);
+		case "FOR_EACH_OBJECT": {
+			// Entries are keyed by name and hold the nested fields
+			const patched = { ...currentValue };
+			for (const [key, value] of Object.entries(patch)) {
+				if (value === null) delete patched[key];
+				else if (isPlainObject(value) && isPlainObject(patched[key])) patched[key] = patchFields(patched[key], value, field.nestedFields);
+				else patched[key] = value;
+			}
+			return patched;
+		}
+		default:
+			return patchFields(currentValue, patch, null);
+	}
+}
+
+function mergeSampleFields(samples, fields, path, context) {
+	const merged = {};
+	for (const field of Object.values(fields || {})) {
+		if (field.type === "COMPUTED") continue;
+		const values = samples.map((sample) => getFieldValue(sample, field)).filter((value) => value !== undefined);
+		if (values.length > 0) merged[field.name] = mergeSampleValues(field, values, joinPath(path, field.name), context);
+	}
+	return merged;
+}
+
+function mergeSampleValues(field, values, path, context) {
+	switch (field.type) {
+		case "NUMBER": {
+			const numbers = values.map(parseNumber).filter((number) => number !== null).sort((a, b) => a - b);
+			if (numbers.length === 0) return voteSampleValue(values, path, context);
+			const median = numbers[Math.floor((numbers.length - 1) / 2)];
+			recordAgreement(context, path, numbers.filter((number) => number === median).length / context.sampleCount);
+			return median;
+		}
+		case "ARRAY": {
+			const { items, agreement } = mergeSampleSets(values.map((value) => (Array.isArray(value) ? value : [value])), context);
+			recordAgreement(context, path, agreement);
+			return items;
+		}
+		case "OBJECT":
+		case "ARRAY_OBJECT": {
+			const objects = values.filter(isPlainObject);
+			if (objects.length === 0) return voteSampleValue(values, path, context);
+			return mergeSampleFields(objects, field.nestedFields, path, context);
+		}
+		case "FOR_EACH_OBJECT":
+		case "FOR_EACH_ARRAY": {
+			const maps = values.filter(isPlainObject);
+			if (maps.length === 0) return voteSampleValue(values, path, context);
+
+			const { items: keys, agreement } = mergeSampleSets(maps.map((map) => Object.keys(map)), context);
+			recordAgreement(context, path, agreement);
+
+			const merged = {};
+			for (const key of keys) {
+				const entries = maps.map((map) => map[Object.keys(map).find((mapKey) => sampleKey(mapKey) === sampleKey(key))]).filter((entry) => entry !== undefined);
+				const entryPath = joinPath(path, key);
+				if (field.type === "FOR_EACH_ARRAY") merged[key] = mergeSampleValues({ type: "ARRAY" }, entries, entryPath, context);
+				else merged[key] = mergeSampleFields(entries.filter(isPlainObject), field.nestedFields, entryPath, context);
+			}
+			return merged;
+		}
+		default:
+			return voteSampleValue(values, path, context);
+	}
+}
+
+function voteSampleValue(values, path, context) {
+	const votes = new Map();
+	for (const value of values) {
+		const key = sampleKey(value);
+		if (!votes.has(key)) votes.set(key, { value, count: 0 });
+		votes.get(key).count++;
+	}
+	// Ties go to the earliest sample
+	const winner = [...votes.values()].reduce((best, vote) => (vote.count > best.count ? vote : best));
+	recordAgreement(context, path, winner.count / context.sampleCount);
+	return winner.value;
+}
+
+function mergeSampleSets(lists, context) {
+	const counts = new Map();
+	for (const list of lists) {
+		for (const key of new Set(list.map(sampleKey))) counts.set(key, (counts.get(key) || 0) + 1);
+	}
+
+	const kept = new Map();
+	for (const list of lists) {
+		for (const item of list) {
+			const key = sampleKey(item);
+			if (!kept.has(key) && counts.get(key) / context.sampleCount >= context.threshold) kept.set(key, item);
+		}
+	}
+
+	// Jaccard similarity of each sample to the merged set, samples without the field count as 0
+	let similarity = 0;
+	for (const list of lists) {
+		const keys = new Set(list.map(sampleKey));
+		const union = new Set([...keys, ...kept.keys()]);
+		similarity += union.size === 0 ? 1 : [...keys].filter((key) => kept.has(key)).length / union.size;
+	}
+
+	return { items: [...kept.values()], agreement: similarity / context.sampleCount };
+}
+
+function sampleKey(value) {
+	return typeof value === "string" ? value.trim().toLowerCase() : JSON.stringify(value);
+}
+
+function recordAgreement(context, path, agreement) {
+	context.confidence[path] = Math.round(agreement * 100) / 100;
+}
+
+function migrateFieldNames(names, fromFields = {}, toFields = {}) {
+	return names
+		.map((name) => {
+			const fieldId = Object.keys(fromFields).find((id) => fromFields[id].name === name);
+			if (fieldId === undefined) return Object.values(toFields).some((field) => field.name === name) ? name : null;
+			return toFields[fieldId]?.name ?? null; // Removed fields aren't locked anymore
+		})
+		.filter((name) => name !== null);
+}
+
+function migrateFields(value, fromFields = {}, toFields = {}, extraFields = null) {
+	const migrated = {};
+	const consumedKeys = new Set();
+
+	for (const [fieldId, toField] of Object.entries(toFields)) {
+		const fromField = fromFields[fieldId];
+		let fieldValue;
+
+		if (fromField && Object.prototype.hasOwnProperty.call(value, fromField.name)) {
+			fieldValue = value[fromField.name];
+			consumedKeys.add(fromField.name);
+		} else if (fromField && fromField.name !== toField.name && extraFields && Object.prototype.hasOwnProperty.call(extraFields, fromField.name) && !isPlainObject(extraFields[fromField.name])) {
+			// The value was moved to _extraFields by an earlier reconcile because the field was renamed
+			fieldValue = extraFields[fromField.name];
+			delete extraFields[fromField.name];
+		} else if (Object.prototype.hasOwnProperty.call(value, toField.name)) {
+			fieldValue = value[toField.name];
+			consumedKeys.add(toField.name);
+		} else {
+			continue;
+		}
+
+		const nestedExtraFields = extraFields ? extraFields[fromField?.name] ?? extraFields[toField.name] : null;
+		migrated[toField.name] = convertFieldValue(fieldValue, fromField || toField, toField, isPlainObject(nestedExtraFields) ? nestedExtraFields : null);
+	}
+
+	// Keep values of removed fields and unknown keys
+	const removedFields = {};
+	for (const [key, keyValue] of Object.entries(value)) {
+		if (consumedKeys.has(key) || Object.prototype.hasOwnProperty.call(migrated, key)) continue;
+		const isRemovedField = Object.entries(fromFields).some(([fieldId, field]) => field.name === key && !toFields[fieldId]);
+		if (isRemovedField) removedFields[key] = keyValue;
+		else migrated[key] = keyValue;
+	}
+	if (Object.keys(removedFields).length > 0) migrated._extraFields = removedFields;
+
+	return migrated;
+}
+
+function convertFieldValue(value, fromField, toField, extraFields = null) {
+	const objectTypes = ["OBJECT", "ARRAY_OBJECT"];
+	const fromType = objectTypes.includes(fromField.type) ? "OBJECT" : fromField.type;
+	const toType = objectTypes.includes(toField.type) ? "OBJECT" : toField.type;
+
+	if (fromType === toType) {
+		switch (toType) {
+			case "OBJECT":
+				return isPlainObject(value) ? stripExtraFields(migrateFields(value, fromField.nestedFields, toField.nestedFields, extraFields)) : value;
+			case "FOR_EACH_OBJECT":
+				if (!isPlainObject(value)) return value;
+				return Object.fromEntries(
+					Object.entries(value).map(([key, item]) => [key, isPlainObject(item) ? stripExtraFields(migrateFields(item, fromField.nestedFields, toField.nestedFields, isPlainObject(extraFields?.[key]) ? extraFields[key] : null)) : item]),
+				);
+			case "FOR_EACH_ARRAY":
+				if (!isPlainObject(value)) return value;
+				return Object.fromEntries(
+					Object.entries(value).map(([key, items]) => [
+						key,
+						Array.isArray(items) ? items.map((item) => (isPlainObject(item) ? stripExtraFields(migrateFields(item, fromField.nestedFields, toField.nestedFields)) : item)) : items,
+					]),
+				);
+			default:
+				return value;
+		}
+	}
+
+	switch (toType) {
+		case "STRING":
+			if (Array.isArray(value)) return value.join(", ");
+			if (typeof value === "number" || typeof value === "boolean") return String(value);
+			return value;
+		case "ARRAY":
+			if (typeof value === "string")
+				return value
+					.split(",")
+					.map((item) => item.trim())
+					.filter((item) => item !== "");
+			if (value !== null && typeof value !== "object") return [value];
+			return value;
+		case "NUMBER":
+			return parseNumber(value) ?? value;
+		case "BOOLEAN":
+			return parseBoolean(value) ?? value;
+		case "ENUM":
+			return normalizeEnumValue(value, toField) ?? value;
+		default:
+			return value;
+	}
+}
+
+function stripExtraFields(migrated) {
+	// Nested removed fields are kept in place; _extraFields only exists at the top level of a tracker
+	if (migrated._extraFields) {
+		Object.assign(migrated, migrated._extraFields);
+		delete migrated._extraFields;
+	}
+	return migrated;
+}
+
+/**
+ * Checks whether a field is part of the given field selection.
+ * @param {Object} field - The field definition.
+ * @param {string} includeFields - Which fields to include (dynamic, static, all).
+ * @returns {boolean} - True if the field is included.
+ */
+export function shouldIncludeField(field, includeFields) {
 	if (includeFields === FIELD_INCLUDE_OPTIONS.ALL) return true;
+	if (field.type === "COMPUTED") return false; // Computed fields are derived, never generated
 	return (includeFields === FIELD_INCLUDE_OPTIONS.DYNAMIC && field.isDynamic) || (includeFields === FIELD_INCLUDE_OPTIONS.STATIC && !field.isDynamic);
 }
 
@@ -276,6 +1089,88 @@ function handleString(field, includeFields, index = null, trackerValue = null, e
 	return field.defaultValue || "Updated if Changed";
 }
 
+/**
+ * Returns the value a field has in an example tracker. Example values listed per character as a JSON array
+ * give the value of the character, or the first one.
+ * @param {Object} field - The field definition.
+ * @param {number|null} index - The index of the example tracker.
+ * @param {number|null} charIndex - The index of the character.
+ * @returns {*} - The example value, null if the field has none.
+ */
+function getExampleValue(field, index, charIndex = null) {
+	if (index === null || !field.exampleValues || !field.exampleValues[index]) return null;
+
+	const val = field.exampleValues[index];
+	try {
+		const arr = JSON.parse(val);
+		if (Array.isArray(arr)) {
+			return charIndex !== null && charIndex < arr.length ? arr[charIndex] : arr[0];
+		}
+	} catch {
+		// Plain example values are used as they are
+	}
+	return val;
+}
+
+function handleNumber(field, includeFields, index = null, trackerValue = null, extraFields = null, charIndex = null) {
+	if (trackerValue !== null && trackerValue !== undefined) {
+		const number = parseNumber(trackerValue);
+		if (number !== null) {
+			return clampNumber(number, field);
+		}
+		// Type mismatch
+		if (extraFields && typeof extraFields === "object") {
+			extraFields[field.name] = trackerValue;
+		}
+	}
+
+	const number = parseNumber(getExampleValue(field, index, charIndex));
+	if (number !== null) return clampNumber(number, field);
+
+	return clampNumber(parseNumber(field.defaultValue) ?? parseNumber(field.min) ?? 0, field);
+}
+
+function handleEnum(field, includeFields, index = null, trackerValue = null, extraFields = null, charIndex = null) {
+	if (trackerValue !== null && trackerValue !== undefined) {
+		const enumValue = normalizeEnumValue(trackerValue, field);
+		if (enumValue !== null) {
+			return enumValue;
+		}
+		// Unknown value
+		if (extraFields && typeof extraFields === "object") {
+			extraFields[field.name] = trackerValue;
+		}
+	}
+
+	const enumValue = normalizeEnumValue(getExampleValue(field, index, charIndex), field);
+	if (enumValue !== null) return enumValue;
+
+	return normalizeEnumValue(field.defaultValue, field) ?? field.allowedValues?.[0] ?? "";
+}
+
+function handleBoolean(field, includeFields, index = null, trackerValue = null, extraFields = null, charIndex = null) {
+	if (trackerValue !== null && trackerValue !== undefined) {
+		const bool = parseBoolean(trackerValue);
+		if (bool !== null) {
+			return bool;
+		}
+		// Type mismatch
+		if (extraFields && typeof extraFields === "object") {
+			extraFields[field.name] = trackerValue;
+		}
+	}
+
+	const bool = parseBoolean(getExampleValue(field, index, charIndex));
+	if (bool !== null) return bool;
+
+	return parseBoolean(field.defaultValue) ?? false;
+}
+
+function handleComputed(field, includeFields, index = null, trackerValue = null, extraFields = null, charIndex = null) {
+	// The value is derived from the other fields by evaluateComputedFields once the tracker is reconciled
+	return trackerValue ?? null;
+}
+
 function handleArray(field, includeFields, index = null, trackerValue = null, extraFields = null, charIndex = null) {
 	if (trackerValue !== null && Array.isArray(trackerValue)) {
 		return trackerValue;
@@ -319,16 +1214,17 @@ function handleObject(field, includeFields, index = null, trackerValue = null, e
 
 	if (trackerValue !== null && typeof trackerValue === "object" && !Array.isArray(trackerValue)) {
 		// Process nested fields
+		const matchedKeys = new Set();
 		for (const nestedField of Object.values(nestedFields)) {
 			if (!shouldIncludeField(nestedField, includeFields)) continue;
 			const handler = FIELD_TYPES_HANDLERS[nestedField.type] || handleString;
-			const nestedValue = trackerValue[nestedField.name];
+			const nestedValue = getFieldValue(trackerValue, nestedField, matchedKeys);
 			obj[nestedField.name] = handler(nestedField, includeFields, null, nestedValue, extraFields && typeof extraFields === "object" ? extraFields : null, charIndex);
 		}
 
 		// Handle extra fields in the nested object
 		for (const key in trackerValue) {
-			if (!Object.prototype.hasOwnProperty.call(obj, key)) {
+			if (!matchedKeys.has(key) && !Object.prototype.hasOwnProperty.call(obj, key)) {
 				if (extraFields && typeof extraFields === "object") {
 					extraFields[field.name] = extraFields[field.name] || {};
 					extraFields[field.name][key] = trackerValue[key]; 
@@ -371,18 +1267,19 @@ function handleForEachObject(field, includeFields, index = null, trackerValue =
 		const result = {};
 		for (const [key, value] of Object.entries(trackerValue)) {
 			const obj = {};
+			const matchedKeys = new Set();
 			let extraNestedFields = null;
 
 			for (const nestedField of Object.values(nestedFields)) {
 				if (!shouldIncludeField(nestedField, includeFields)) continue;
 				const handler = FIELD_TYPES_HANDLERS[nestedField.type] || handleString;
-				const nestedValue = value[nestedField.name];
+				const nestedValue = getFieldValue(value, nestedField, matchedKeys);
 				obj[nestedField.name] = handler(nestedField, includeFields, null, nestedValue, extraNestedFields, null);
 			}
 
 			// Handle extra fields in the nested object
 			for (const nestedKey in value) {
-				if (!Object.prototype.hasOwnProperty.call(obj, nestedKey)) {
+				if (!matchedKeys.has(nestedKey) && !Object.prototype.hasOwnProperty.call(obj, nestedKey)) {
 					if (extraFields && typeof extraFields === "object") {
 						extraNestedFields = extraNestedFields || {};
 						extraNestedFields[nestedKey] = value[nestedKey]; 
@@ -468,16 +1365,17 @@ function handleForEachArray(field, includeFields, index = null, trackerValue = n
 				for (const arrItem of value) {
 					if (typeof arrItem === "object" && !Array.isArray(arrItem)) {
 						const obj = {};
+						const matchedKeys = new Set();
 						let extraNestedFields = null;
 						for (const nf of nestedFieldArray) {
 							if (!shouldIncludeField(nf, includeFields)) continue;
 							const handler = FIELD_TYPES_HANDLERS[nf.type] || handleString;
-							const arrItemVal = arrItem[nf.name];
+							const arrItemVal = getFieldValue(arrItem, nf, matchedKeys);
 							obj[nf.name] = handler(nf, includeFields, null, arrItemVal, extraNestedFields, null);
 						}
 
 						for (const nestedKey in arrItem) {
-							if (!Object.prototype.hasOwnProperty.call(obj, nestedKey)) {
+							if (!matchedKeys.has(nestedKey) && !Object.prototype.hasOwnProperty.call(obj, nestedKey)) {
 								extraNestedFields = extraNestedFields || {};
 								extraNestedFields[nestedKey] = arrItem[nestedKey];
 							}
@@ -565,17 +1463,129 @@ function buildPrompt(backendObj, includeFields, indentLevel, lines) {
 	const indent = "  ".repeat(indentLevel);
 	for (const field of Object.values(backendObj)) {
 		if (!shouldIncludeField(field, includeFields)) continue;
+		if (field.type === "COMPUTED") continue;
 		if (!field.prompt && !field.nestedFields) continue;
 
 		if (field.type === "FOR_EACH_OBJECT" || field.nestedFields) {
-			lines.push(`${indent}- **${field.name}:**${field.prompt ? " " + field.prompt : ""}`);
+			lines.push(`${indent}- **${field.name}:**${field.prompt ? " " + field.prompt : ""}${getTypeHint(field)}`);
 			buildPrompt(field.nestedFields, includeFields, indentLevel + 1, lines);
 		} else {
-			lines.push(`${indent}- **${field.name}:** ${field.prompt}`);
+			lines.push(`${indent}- **${field.name}:** ${field.prompt}${getTypeHint(field)}`);
 		}
 	}
 }
 
+/**
+ * Describes the value constraints of a field for the tracker prompt.
+ * @param {Object} field - The field definition.
+ * @returns {string} - The hint, prefixed with a space, or an empty string.
+ */
+function getTypeHint(field) {
+	if (field.type === "NUMBER") {
+		const min = parseNumber(field.min);
+		const max = parseNumber(field.max);
+		const step = parseNumber(field.step);
+		const parts = [];
+		if (min !== null && max !== null) parts.push(`between ${min} and ${max}`);
+		else if (min !== null) parts.push(`of at least ${min}`);
+		else if (max !== null) parts.push(`of at most ${max}`);
+		if (step !== null && step > 0) parts.push(`in steps of ${step}`);
+		if (field.unit) parts.push(`measured in ${field.unit}`);
+		return ` (A plain number${parts.length ? " " + parts.join(", ") : ""}.)`;
+	}
+	if (field.type === "BOOLEAN") {
+		return " (true or false.)";
+	}
+	if (field.type === "ENUM" && field.allowedValues?.length) {
+		return ` (One of: ${field.allowedValues.map((value) => `"${value}"`).join(", ")}.)`;
+	}
+	return "";
+}
+
+/**
+ * Maps a value onto one of the field's allowed values, ignoring case, whitespace and punctuation
+ * and resolving the field's synonyms.
+ * @param {*} value - The value to normalize.
+ * @param {Object} field - The field definition containing allowedValues and optional synonyms.
+ * @returns {string|null} - The canonical allowed value or null if the value is unknown.
+ */
+function normalizeEnumValue(value, field) {
+	if (value === null || value === undefined || typeof value === "object") return null;
+	const allowedValues = field.allowedValues || [];
+	const key = normalizeKey(value);
+	if (key === "") return null;
+
+	const allowedValue = allowedValues.find((allowed) => normalizeKey(allowed) === key);
+	if (allowedValue !== undefined) return allowedValue;
+
+	for (const [synonym, target] of Object.entries(field.synonyms || {})) {
+		if (normalizeKey(synonym) === key) {
+			return allowedValues.find((allowed) => normalizeKey(allowed) === normalizeKey(target)) ?? null;
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Finds the key holding a field's value, accepting the field's aliases and differences in case,
+ * spaces, underscores and dashes, e.g. `characters_present` or `Characters Present` for `CharactersPresent`.
+ * An exact match on the field name always wins.
+ * @param {Object} obj - The object to search.
+ * @param {Object} field - The field definition containing name and optional aliases.
+ * @param {Set<string>} [matchedKeys] - Keys already claimed by other fields, which are skipped.
+ * @returns {string|undefined} - The matching key or undefined if none was found.
+ */
+function findFieldKey(obj, field, matchedKeys = null) {
+	if (!isPlainObject(obj)) return undefined;
+	if (Object.prototype.hasOwnProperty.call(obj, field.name)) return field.name;
+
+	const candidates = [field.name, ...(field.aliases || [])].map(normalizeKey).filter((key) => key !== "");
+	return Object.keys(obj).find((key) => !TRACKER_METADATA_KEYS.includes(key) && !matchedKeys?.has(key) && candidates.includes(normalizeKey(key)));
+}
+
+/**
+ * Returns a field's value from an object using findFieldKey and records the matched key.
+ * @param {Object} obj - The object to read from.
+ * @param {Object} field - The field definition.
+ * @param {Set<string>} [matchedKeys] - Set collecting the keys consumed by fields.
+ * @returns {*} - The value or undefined if the field is missing.
+ */
+function getFieldValue(obj, field, matchedKeys = null) {
+	const key = findFieldKey(obj, field, matchedKeys);
+	if (key === undefined) return undefined;
+	matchedKeys?.add(key);
+	return obj[key];
+}
+
+function normalizeKey(value) {
+	return String(value)
+		.toLowerCase()
+		.replace(/[^\p{L}\p{N}]+/gu, "");
+}
+
+/**
+ * Clamps a number to the field's min/max and snaps it to the field's step.
+ * @param {number} value - The number to clamp.
+ * @param {Object} field - The field definition containing optional min, max and step.
+ * @returns {number} - The clamped number.
+ */
+function clampNumber(value, field) {
+	const min = parseNumber(field.min);
+	const max = parseNumber(field.max);
+	const step = parseNumber(field.step);
+
+	if (step !== null && step > 0) {
+		const base = min ?? 0;
+		const decimals = (String(step).split(".")[1] || "").length;
+		value = parseFloat((base + Math.round((value - base) / step) * step).toFixed(decimals));
+	}
+	if (min !== null && value < min) value = min;
+	if (max !== null && value > max) value = max;
+
+	return value;
+}
+
 function formatOutput(tracker, outputFormat) {
 	if (outputFormat === OUTPUT_FORMATS.YAML) {
 		return jsonToYAML(tracker);
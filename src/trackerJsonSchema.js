@@ -0,0 +1,333 @@
+import { debug, parseBoolean } from "../lib/utils.js";
+
+const SCHEMA_DIALECT = "https://json-schema.org/draft/2020-12/schema";
+
+const FIELD_TYPES = ["STRING", "NUMBER", "ENUM", "BOOLEAN", "COMPUTED", "ARRAY", "OBJECT", "FOR_EACH_OBJECT", "FOR_EACH_ARRAY", "ARRAY_OBJECT"];
+const NESTING_FIELD_TYPES = ["OBJECT", "FOR_EACH_OBJECT", "FOR_EACH_ARRAY", "ARRAY_OBJECT"];
+
+// Guards against recursive schemas, which can't be represented as a tracker definition
+const MAX_DEPTH = 32;
+
+/**
+ * Converts a tracker definition into a JSON Schema describing the trackers it produces.
+ * Prompts become descriptions and default and example values become `default` and `examples`.
+ * Everything JSON Schema can't express (field IDs, field types, update policies, aliases, synonyms, units, expressions)
+ * is kept in `x-tracker-*` keywords so the schema can be imported back without loss.
+ * @param {Object} trackerDef - The tracker definition.
+ * @param {string} [title] - Title of the schema.
+ * @returns {Object} - The JSON Schema.
+ */
+export function trackerDefToJsonSchema(trackerDef, title = "Tracker") {
+	return { $schema: SCHEMA_DIALECT, title, ...fieldsToSchema(trackerDef) };
+}
+
+/**
+ * Builds a tracker definition from a JSON Schema describing an object.
+ * Schemas exported by trackerDefToJsonSchema are restored as they were; for other schemas field types are
+ * inferred from the JSON types, local `$ref`s are resolved and `anyOf`/`oneOf` use their first non-null branch.
+ * @param {Object|string} schema - The JSON Schema or its JSON string.
+ * @param {number} [firstFieldIndex] - Lowest index for field IDs not given by the schema.
+ * @returns {Object} - The tracker definition.
+ */
+export function jsonSchemaToTrackerDef(schema, firstFieldIndex = 0) {
+	if (typeof schema === "string") schema = JSON.parse(schema);
+	if (!isPlainObject(schema)) throw new Error("JSON Schema must be an object.");
+
+	const root = resolveSchema(schema, schema);
+	if (!isPlainObject(root.properties)) throw new Error("JSON Schema must describe an object with properties.");
+
+	const context = { root, reservedIds: new Set(), usedIds: new Set(), nextIndex: firstFieldIndex };
+	collectFieldIds(schema, context.reservedIds);
+
+	const trackerDef = schemaToFields(root.properties, context, 0);
+	debug("Imported tracker definition from JSON Schema:", { schema, trackerDef });
+	return trackerDef;
+}
+
+// #region Export
+
+function fieldsToSchema(fields = {}) {
+	const properties = {};
+	for (const [fieldId, field] of Object.entries(fields || {})) {
+		properties[field.name] = fieldToSchema(fieldId, field);
+	}
+	return { type: "object", properties, required: Object.keys(properties) };
+}
+
+function fieldToSchema(fieldId, field) {
+	const type = FIELD_TYPES.includes(field.type) ? field.type : "STRING";
+	const schema = valueSchema(field, type);
+
+	if (field.prompt) schema.description = field.prompt;
+
+	if (NESTING_FIELD_TYPES.includes(type)) {
+		// Default and example values of nesting fields hold keys, not values, so they are kept as they are
+		if (field.defaultValue) schema["x-tracker-defaultValue"] = field.defaultValue;
+		if (field.exampleValues?.length) schema["x-tracker-exampleValues"] = [...field.exampleValues];
+	} else if (type !== "COMPUTED") {
+		const defaultValue = toSchemaValue(field.defaultValue, type);
+		if (defaultValue !== undefined) schema.default = defaultValue;
+		const examples = (field.exampleValues || []).map((value) => toSchemaValue(value, type)).filter((value) => value !== undefined);
+		if (examples.length > 0) schema.examples = examples;
+
+		// Keep the original text where the conversion changed it, e.g. "yes" for a boolean or reformatted arrays
+		if (defaultValue !== undefined && fromSchemaValue(defaultValue) !== field.defaultValue) schema["x-tracker-defaultValue"] = field.defaultValue;
+		if (examples.length !== (field.exampleValues || []).length || examples.some((value, i) => fromSchemaValue(value) !== field.exampleValues[i])) {
+			schema["x-tracker-exampleValues"] = [...field.exampleValues];
+		}
+	}
+
+	schema["x-tracker-id"] = fieldId;
+	schema["x-tracker-type"] = type;
+	schema["x-tracker-dynamic"] = field.isDynamic ?? true;
+	if (field.injectIntoPrompt === false) schema["x-tracker-injectIntoPrompt"] = false;
+	if (field.updatePolicy && field.updatePolicy !== "replace") schema["x-tracker-updatePolicy"] = field.updatePolicy;
+	if (field.aliases?.length) schema["x-tracker-aliases"] = [...field.aliases];
+
+	return schema;
+}
+
+function valueSchema(field, type) {
+	switch (type) {
+		case "NUMBER": {
+			const schema = { type: "number" };
+			if (field.min !== null && field.min !== undefined) schema.minimum = field.min;
+			if (field.max !== null && field.max !== undefined) schema.maximum = field.max;
+			if (field.step > 0) schema.multipleOf = field.step;
+			if (field.unit) schema["x-tracker-unit"] = field.unit;
+			return schema;
+		}
+		case "ENUM": {
+			const schema = { type: "string", enum: [...(field.allowedValues || [])] };
+			if (Object.keys(field.synonyms || {}).length > 0) schema["x-tracker-synonyms"] = { ...field.synonyms };
+			return schema;
+		}
+		case "BOOLEAN":
+			return { type: "boolean" };
+		case "COMPUTED":
+			return { readOnly: true, "x-tracker-expression": field.expression || "" };
+		case "ARRAY":
+			return { type: "array", items: { type: "string" } };
+		case "OBJECT":
+		case "ARRAY_OBJECT":
+			return fieldsToSchema(field.nestedFields);
+		case "FOR_EACH_OBJECT":
+			return { type: "object", additionalProperties: fieldsToSchema(field.nestedFields) };
+		case "FOR_EACH_ARRAY": {
+			const nestedFields = Object.entries(field.nestedFields || {});
+			let items;
+			if (nestedFields.length === 1 && nestedFields[0][1].type === "STRING") {
+				// A single string field is stored as a plain list of strings
+				const [nestedId, nestedField] = nestedFields[0];
+				items = { title: nestedField.name, ...fieldToSchema(nestedId, nestedField) };
+			} else {
+				items = fieldsToSchema(field.nestedFields);
+			}
+			return { type: "object", additionalProperties: { type: "array", items } };
+		}
+		default:
+			return { type: "string" };
+	}
+}
+
+function toSchemaValue(value, type) {
+	if (value === null || value === undefined || value === "") return undefined;
+
+	switch (type) {
+		case "NUMBER": {
+			const number = Number(value);
+			return isNaN(number) ? value : number;
+		}
+		case "BOOLEAN":
+			return parseBoolean(value) ?? value;
+		case "ARRAY":
+			try {
+				const parsed = JSON.parse(value);
+				return Array.isArray(parsed) ? parsed : value;
+			} catch {
+				return value;
+			}
+		default:
+			return value;
+	}
+}
+
+// #endregion
+
+// #region Import
+
+function schemaToFields(properties, context, depth) {
+	if (depth > MAX_DEPTH) throw new Error("JSON Schema is nested too deeply or is recursive.");
+
+	const fields = {};
+	for (const [name, propertySchema] of Object.entries(properties || {})) {
+		const schema = resolveSchema(propertySchema, context.root);
+		const fieldId = assignFieldId(schema["x-tracker-id"], context);
+		fields[fieldId] = schemaToField(name, schema, context, depth);
+	}
+	return fields;
+}
+
+function schemaToField(name, schema, context, depth) {
+	const type = getFieldType(schema, context.root);
+	const isNesting = NESTING_FIELD_TYPES.includes(type);
+
+	const field = {
+		name,
+		type,
+		isDynamic: schema["x-tracker-dynamic"] ?? true,
+		injectIntoPrompt: schema["x-tracker-injectIntoPrompt"] ?? true,
+		prompt: schema.description || "",
+		defaultValue: schema["x-tracker-defaultValue"] ?? (!isNesting && schema.default !== undefined ? fromSchemaValue(schema.default) : ""),
+		exampleValues: [...(schema["x-tracker-exampleValues"] ?? (!isNesting && Array.isArray(schema.examples) ? schema.examples.map(fromSchemaValue) : []))],
+		nestedFields: {},
+		updatePolicy: schema["x-tracker-updatePolicy"] || "replace",
+		aliases: Array.isArray(schema["x-tracker-aliases"]) ? [...schema["x-tracker-aliases"]] : [],
+	};
+
+	switch (type) {
+		case "NUMBER":
+			field.min = schema.minimum ?? schema.exclusiveMinimum ?? null;
+			field.max = schema.maximum ?? schema.exclusiveMaximum ?? null;
+			field.step = schema.multipleOf ?? (getJsonType(schema) === "integer" ? 1 : null);
+			field.unit = schema["x-tracker-unit"] || "";
+			break;
+		case "ENUM":
+			field.allowedValues = (schema.enum || []).filter((value) => value !== null).map(String);
+			field.synonyms = isPlainObject(schema["x-tracker-synonyms"]) ? { ...schema["x-tracker-synonyms"] } : {};
+			break;
+		case "COMPUTED":
+			field.expression = schema["x-tracker-expression"] || "";
+			break;
+		case "OBJECT":
+		case "ARRAY_OBJECT":
+			field.nestedFields = schemaToFields(schema.properties, context, depth + 1);
+			break;
+		case "FOR_EACH_OBJECT": {
+			const valueSchema = resolveSchema(schema.additionalProperties, context.root);
+			field.nestedFields = schemaToFields(valueSchema.properties, context, depth + 1);
+			break;
+		}
+		case "FOR_EACH_ARRAY": {
+			const itemsSchema = resolveSchema(resolveSchema(schema.additionalProperties, context.root).items, context.root);
+			if (isPlainObject(itemsSchema.properties)) {
+				field.nestedFields = schemaToFields(itemsSchema.properties, context, depth + 1);
+			} else {
+				// A plain list of strings becomes a single string field
+				const nestedId = assignFieldId(itemsSchema["x-tracker-id"], context);
+				field.nestedFields = { [nestedId]: schemaToField(itemsSchema.title || "Value", { ...itemsSchema, "x-tracker-type": "STRING" }, context, depth + 1) };
+			}
+			break;
+		}
+	}
+
+	return field;
+}
+
+function getFieldType(schema, root) {
+	if (FIELD_TYPES.includes(schema["x-tracker-type"])) return schema["x-tracker-type"];
+	if (schema["x-tracker-expression"] !== undefined) return "COMPUTED";
+	if (Array.isArray(schema.enum)) return "ENUM";
+
+	switch (getJsonType(schema)) {
+		case "number":
+		case "integer":
+			return "NUMBER";
+		case "boolean":
+			return "BOOLEAN";
+		case "array":
+			return "ARRAY";
+		case "object": {
+			if (isPlainObject(schema.properties) && Object.keys(schema.properties).length > 0) return "OBJECT";
+			const valueSchema = resolveSchema(schema.additionalProperties, root);
+			if (getJsonType(valueSchema) === "array") return "FOR_EACH_ARRAY";
+			if (isPlainObject(valueSchema.properties)) return "FOR_EACH_OBJECT";
+			return "OBJECT";
+		}
+		default:
+			return "STRING";
+	}
+}
+
+function getJsonType(schema) {
+	let type = schema.type;
+	if (Array.isArray(type)) type = type.find((candidate) => candidate !== "null");
+	if (type) return type;
+	if (schema.properties || schema.additionalProperties) return "object";
+	if (schema.items) return "array";
+	return undefined;
+}
+
+/**
+ * Follows local `$ref`s and picks the first non-null branch of `anyOf`/`oneOf`.
+ * Keywords next to the reference, like a description, take precedence over the referenced schema.
+ */
+function resolveSchema(schema, root, depth = 0) {
+	if (!isPlainObject(schema)) return {};
+	if (depth > MAX_DEPTH) throw new Error("JSON Schema references are nested too deeply or are recursive.");
+
+	if (typeof schema.$ref === "string") {
+		const { $ref, ...rest } = schema;
+		return { ...resolveSchema(resolveReference($ref, root), root, depth + 1), ...rest };
+	}
+
+	const branches = schema.anyOf || schema.oneOf;
+	if (!schema.type && Array.isArray(branches)) {
+		const { anyOf, oneOf, ...rest } = schema;
+		const branch = branches.map((candidate) => resolveSchema(candidate, root, depth + 1)).find((candidate) => candidate.type !== "null");
+		return { ...(branch || {}), ...rest };
+	}
+
+	return schema;
+}
+
+function resolveReference(ref, root) {
+	if (!ref.startsWith("#")) throw new Error(`Only local JSON Schema references are supported: ${ref}`);
+
+	let target = root;
+	for (const segment of ref.slice(1).split("/").filter((part) => part !== "")) {
+		const key = decodeURIComponent(segment).replace(/~1/g, "/").replace(/~0/g, "~");
+		target = target?.[key];
+	}
+	if (!isPlainObject(target)) throw new Error(`Unresolved JSON Schema reference: ${ref}`);
+	return target;
+}
+
+function fromSchemaValue(value) {
+	return typeof value === "string" ? value : JSON.stringify(value);
+}
+
+function collectFieldIds(schema, reservedIds) {
+	if (Array.isArray(schema)) {
+		schema.forEach((item) => collectFieldIds(item, reservedIds));
+	} else if (isPlainObject(schema)) {
+		if (isValidFieldId(schema["x-tracker-id"])) reservedIds.add(schema["x-tracker-id"]);
+		Object.values(schema).forEach((value) => collectFieldIds(value, reservedIds));
+	}
+}
+
+function assignFieldId(preferredId, context) {
+	if (isValidFieldId(preferredId) && !context.usedIds.has(preferredId)) {
+		context.usedIds.add(preferredId);
+		return preferredId;
+	}
+
+	let fieldId = `field-${context.nextIndex}`;
+	while (context.reservedIds.has(fieldId) || context.usedIds.has(fieldId)) {
+		context.nextIndex++;
+		fieldId = `field-${context.nextIndex}`;
+	}
+	context.usedIds.add(fieldId);
+	context.nextIndex++;
+	return fieldId;
+}
+
+function isValidFieldId(fieldId) {
+	return typeof fieldId === "string" && /^field-\d+$/.test(fieldId);
+}
+
+function isPlainObject(value) {
+	return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// #endregion
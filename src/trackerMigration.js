@@ -0,0 +1,163 @@
+import { chat, chat_metadata, saveChatConditional, saveSettingsDebounced } from "../../../../../script.js";
+import { debug, log } from "../lib/utils.js";
+import { extensionSettings } from "../index.js";
+import { migrateTracker, setMessageTracker } from "./trackerDataHandler.js";
+import { TrackerPreviewManager } from "./ui/trackerPreviewManager.js";
+
+/**
+ * Returns the structural signature of a tracker definition: field ids, names, types and nesting.
+ * Prompts, default values and examples are ignored as they don't affect stored trackers.
+ * @param {Object} trackerDef - The tracker definition.
+ * @returns {Object} - The signature.
+ */
+function getDefSignature(trackerDef) {
+	return Object.fromEntries(
+		Object.entries(trackerDef || {}).map(([fieldId, field]) => [
+			fieldId,
+			{
+				name: field.name,
+				type: field.type,
+				nestedFields: getDefSignature(field.nestedFields),
+			},
+		]),
+	);
+}
+
+/**
+ * Records a new tracker definition version if the structure of the definition changed.
+ * The previous definition is kept so trackers stored with it can be migrated later.
+ * @param {Object} previousDef - The tracker definition before the change.
+ * @param {Object} currentDef - The tracker definition after the change.
+ * @returns {boolean} - True if a new version was recorded.
+ */
+export function recordTrackerDefVersion(previousDef, currentDef) {
+	if (JSON.stringify(getDefSignature(previousDef)) === JSON.stringify(getDefSignature(currentDef))) return false;
+
+	const previousVersion = extensionSettings.trackerDefVersion || 1;
+	extensionSettings.trackerDefHistory = { ...(extensionSettings.trackerDefHistory || {}), [previousVersion]: JSON.parse(JSON.stringify(previousDef)) };
+	extensionSettings.trackerDefVersion = previousVersion + 1;
+	saveSettingsDebounced();
+
+	log(`Tracker definition updated from version ${previousVersion} to ${extensionSettings.trackerDefVersion}.`);
+	return true;
+}
+
+/**
+ * Returns the lowest field index not used by the current or any recorded tracker definition version,
+ * so a new field never takes over the ID, and with it the stored values, of a removed field.
+ * @returns {number} - The first free field index.
+ */
+export function getFirstFreeFieldIndex() {
+	let highestIndex = -1;
+	const traverse = (trackerDef) => {
+		Object.entries(trackerDef || {}).forEach(([fieldId, field]) => {
+			const index = parseInt(fieldId.split("-")[1]);
+			if (!isNaN(index)) highestIndex = Math.max(highestIndex, index);
+			traverse(field.nestedFields);
+		});
+	};
+	traverse(extensionSettings.trackerDef);
+	Object.values(extensionSettings.trackerDefHistory || {}).forEach(traverse);
+	return highestIndex + 1;
+}
+
+/**
+ * Returns the tracker definition version the trackers of the open chat were stored with.
+ * Chats without a stamp that already have trackers may have been stored with any earlier version, and are assumed to be
+ * on the oldest recorded one so their trackers are offered for migration. Chats without trackers are on the current version.
+ * @returns {number} - The version.
+ */
+export function getChatTrackerDefVersion() {
+	const stampedVersion = chat_metadata.tracker?.trackerDefVersion;
+	if (stampedVersion !== undefined) return stampedVersion;
+
+	const currentVersion = extensionSettings.trackerDefVersion || 1;
+	const hasTrackers = chat.some((mes) => mes.tracker && Object.keys(mes.tracker).length !== 0);
+	if (!hasTrackers) return currentVersion;
+
+	const recordedVersions = Object.keys(extensionSettings.trackerDefHistory || {}).map(Number).filter((version) => !isNaN(version));
+	return Math.min(currentVersion, ...recordedVersions);
+}
+
+/**
+ * Stamps the open chat with the tracker definition version its trackers were stored with if it has no stamp yet.
+ */
+export function stampChatTrackerDefVersion() {
+	if (chat_metadata.tracker?.trackerDefVersion !== undefined) return;
+	const version = getChatTrackerDefVersion();
+	if (!chat_metadata.tracker) chat_metadata.tracker = {};
+	chat_metadata.tracker.trackerDefVersion = version;
+}
+
+/**
+ * Migrates a tracker through every recorded definition version between the given version and the current one.
+ * @param {Object} tracker - The stored tracker.
+ * @param {number} fromVersion - The version the tracker was stored with.
+ * @returns {Object} - The migrated tracker.
+ */
+function migrateToCurrentVersion(tracker, fromVersion) {
+	const currentVersion = extensionSettings.trackerDefVersion || 1;
+	const history = extensionSettings.trackerDefHistory || {};
+
+	let migrated = tracker;
+	for (let version = fromVersion; version < currentVersion; version++) {
+		const fromDef = history[version];
+		if (!fromDef) continue;
+		const toDef = history[version + 1] ?? extensionSettings.trackerDef;
+		migrated = migrateTracker(migrated, fromDef, toDef);
+	}
+	return migrated;
+}
+
+/**
+ * Computes the migration of all trackers in the open chat without applying it.
+ * @returns {{fromVersion: number, toVersion: number, total: number, changes: Array<{mesId: number, tracker: Object}>}} - The pending changes.
+ */
+export function previewChatMigration() {
+	const fromVersion = getChatTrackerDefVersion();
+	const toVersion = extensionSettings.trackerDefVersion || 1;
+	const changes = [];
+	let total = 0;
+
+	chat.forEach((mes, mesId) => {
+		if (!mes.tracker || Object.keys(mes.tracker).length === 0) return;
+		total++;
+
+		const migrated = migrateToCurrentVersion(mes.tracker, fromVersion);
+		if (JSON.stringify(migrated) !== JSON.stringify(mes.tracker)) {
+			changes.push({ mesId, tracker: migrated });
+		}
+	});
+
+	debug("Tracker migration preview:", { fromVersion, toVersion, total, changes });
+	return { fromVersion, toVersion, total, changes };
+}
+
+/**
+ * Applies a migration computed by previewChatMigration to the open chat and stamps it with the current version.
+ * @param {Object} migration - The result of previewChatMigration.
+ */
+export async function applyChatMigration(migration) {
+	// The trackers kept with the other swipes of a message are migrated along, they become the message's tracker when swiped to
+	chat.forEach((mes) => {
+		mes.swipe_info?.forEach((swipeInfo, swipeId) => {
+			if (swipeId === mes.swipe_id || !swipeInfo?.extra?.tracker) return;
+			swipeInfo.extra.tracker = migrateToCurrentVersion(swipeInfo.extra.tracker, migration.fromVersion);
+		});
+	});
+
+	for (const { mesId, tracker } of migration.changes) {
+		setMessageTracker(mesId, tracker);
+	}
+
+	if (!chat_metadata.tracker) chat_metadata.tracker = {};
+	// The fields locked for the whole chat are renamed along with the trackers
+	if (chat_metadata.tracker.lockedFields?.length) {
+		chat_metadata.tracker.lockedFields = migrateToCurrentVersion({ _locked: chat_metadata.tracker.lockedFields }, migration.fromVersion)._locked ?? [];
+	}
+	chat_metadata.tracker.trackerDefVersion = migration.toVersion;
+	await saveChatConditional();
+
+	migration.changes.forEach(({ mesId }) => TrackerPreviewManager.updatePreview(mesId));
+	log(`Migrated ${migration.changes.length} trackers from version ${migration.fromVersion} to ${migration.toVersion}.`);
+}
@@ -1,6 +1,9 @@
 import { extensionSettings } from "../../../index.js";
 import { FIELD_INCLUDE_OPTIONS, getTracker, OUTPUT_FORMATS } from "../../trackerDataHandler.js";
 import { TrackerPromptMaker } from "./trackerPromptMaker.js";
+import { renderTemplate } from "../../../lib/templateEngine.js";
+import { LOCK_LEVELS } from "../../fieldLocks.js";
+import { parseBoolean, parseNumber } from "../../../lib/utils.js";
 
 export class TrackerContentRenderer {
 	constructor() {
@@ -15,12 +18,64 @@ export class TrackerContentRenderer {
 		return types;
 	}
 
+	/**
+	 * Creates the lock icon of a top-level field, toggling the lock when clicked.
+	 * @param {string} fieldName - The field name.
+	 * @param {{getLock: function(string): string|null, onToggle: function(string)}} fieldLocks - Reads and toggles the lock of a field.
+	 * @returns {HTMLElement} - The lock icon.
+	 */
+	createLockToggle(fieldName, fieldLocks) {
+		const lock = fieldLocks.getLock(fieldName);
+		const toggle = document.createElement("span");
+		toggle.className = `tracker-field-lock fa-solid ${lock ? "fa-lock" : "fa-lock-open"} interactable`;
+		toggle.dataset.lock = lock ?? "";
+		toggle.tabIndex = 0;
+		toggle.title = lock === LOCK_LEVELS.CHAT ? "Locked in this chat. Click to unlock." : lock ? "Locked from this message on. Click to lock in this chat." : "Click to lock from this message on, so generation keeps this value.";
+		toggle.addEventListener("click", () => fieldLocks.onToggle(fieldName));
+		return toggle;
+	}
+
+	/**
+	 * Creates the default values of a nested object, used for new entries added in the editor.
+	 * @param {object} schema - The nested fields.
+	 * @returns {object} - The object with the default value of each field.
+	 */
+	createDefaultValues(schema) {
+		const obj = {};
+		for (const nestedField of Object.values(schema)) {
+			switch (nestedField.type) {
+				case this.FIELD_TYPES.STRING:
+					obj[nestedField.name] = nestedField.defaultValue || "";
+					break;
+				case this.FIELD_TYPES.ARRAY:
+					obj[nestedField.name] = nestedField.defaultValue || [];
+					break;
+				case this.FIELD_TYPES.NUMBER:
+					obj[nestedField.name] = parseNumber(nestedField.defaultValue) ?? parseNumber(nestedField.min) ?? 0;
+					break;
+				case this.FIELD_TYPES.BOOLEAN:
+					obj[nestedField.name] = parseBoolean(nestedField.defaultValue) ?? false;
+					break;
+				case this.FIELD_TYPES.ENUM:
+					obj[nestedField.name] = nestedField.allowedValues?.includes(nestedField.defaultValue) ? nestedField.defaultValue : nestedField.allowedValues?.[0] ?? "";
+					break;
+				case this.FIELD_TYPES.OBJECT:
+					obj[nestedField.name] = this.createDefaultValues(nestedField.nestedFields);
+					break;
+				default:
+					obj[nestedField.name] = nestedField.defaultValue || "";
+			}
+		}
+		return obj;
+	}
+
 	/**
 	 * Generates a default hierarchical view of the tracker fields.
 	 * @param {object} tracker - The tracker data object.
+	 * @param {object} [fieldLocks] - Shows a lock icon on the top-level fields, see createLockToggle.
 	 * @returns {HTMLElement} - The root element containing the rendered view.
 	 */
-	renderDefaultView(tracker) {
+	renderDefaultView(tracker, fieldLocks = null) {
 		const root = document.createElement("div");
 		root.className = "tracker-view-container";
 
@@ -32,6 +87,8 @@ export class TrackerContentRenderer {
 				const wrapper = document.createElement("div");
 				wrapper.className = "tracker-view-field";
 
+				if (fieldLocks && schema === this.schema) wrapper.appendChild(this.createLockToggle(fieldSchema.name, fieldLocks));
+
 				const label = document.createElement("span");
 				label.className = "tracker-view-label";
 				label.textContent = `${fieldSchema.name}: `;
@@ -134,6 +191,21 @@ export class TrackerContentRenderer {
 						wrapper.appendChild(nestedFields);
 						break;
 					}
+					case this.FIELD_TYPES.NUMBER: {
+						const valueSpan = document.createElement("span");
+						valueSpan.className = "tracker-view-value";
+						valueSpan.textContent = value !== undefined && value !== null ? `${value}${fieldSchema.unit ? " " + fieldSchema.unit : ""}` : "";
+						wrapper.appendChild(valueSpan);
+						break;
+					}
+					case this.FIELD_TYPES.COMPUTED:
+					case this.FIELD_TYPES.BOOLEAN: {
+						const valueSpan = document.createElement("span");
+						valueSpan.className = "tracker-view-value";
+						valueSpan.textContent = value !== undefined && value !== null ? String(value) : "";
+						wrapper.appendChild(valueSpan);
+						break;
+					}
 					default: {
 						const valueSpan = document.createElement("span");
 						valueSpan.className = "tracker-view-value";
@@ -155,9 +227,10 @@ export class TrackerContentRenderer {
 	 * Generates an editable representation of the tracker fields in an inline format.
 	 * @param {object} tracker - The tracker data object.
 	 * @param {function} onUpdate - Callback function to pass the updated tracker object.
+	 * @param {object} [fieldLocks] - Shows a lock icon on the top-level fields, see createLockToggle.
 	 * @returns {HTMLElement} - The root element containing the editor view.
 	 */
-	renderEditorView(tracker, onUpdate) {
+	renderEditorView(tracker, onUpdate, fieldLocks = null) {
 		const root = document.createElement("div");
 		root.className = "tracker-editor-container";
 
@@ -197,6 +270,57 @@ export class TrackerContentRenderer {
 			return textarea;
 		};
 
+		const createEnumSelect = (value, fieldSchema, onChange) => {
+			const select = document.createElement("select");
+			select.className = "text_pole tracker-editor-enum";
+
+			const options = [...(fieldSchema.allowedValues || [])];
+			if (value && !options.includes(value)) options.unshift(value);
+			options.forEach((optionValue) => {
+				const option = document.createElement("option");
+				option.value = optionValue;
+				option.textContent = optionValue;
+				select.appendChild(option);
+			});
+			select.value = value ?? "";
+
+			select.addEventListener("change", (event) => {
+				onChange(event.target.value);
+			});
+
+			return select;
+		};
+
+		const createNumberInput = (value, fieldSchema, onChange) => {
+			const input = document.createElement("input");
+			input.type = "number";
+			input.className = "text_pole tracker-editor-number";
+			input.value = value ?? "";
+			if (fieldSchema.min !== null && fieldSchema.min !== undefined) input.min = fieldSchema.min;
+			if (fieldSchema.max !== null && fieldSchema.max !== undefined) input.max = fieldSchema.max;
+			input.step = fieldSchema.step || "any";
+
+			input.addEventListener("input", (event) => {
+				const number = parseFloat(event.target.value);
+				if (!isNaN(number)) onChange(number);
+			});
+
+			return input;
+		};
+
+		const createCheckbox = (value, onChange) => {
+			const input = document.createElement("input");
+			input.type = "checkbox";
+			input.className = "tracker-editor-boolean";
+			input.checked = parseBoolean(value) ?? false;
+
+			input.addEventListener("change", (event) => {
+				onChange(event.target.checked);
+			});
+
+			return input;
+		};
+
 		const createEditorFields = (object, schema, parentElement) => {
 			for (const fieldSchema of Object.values(schema)) {
 				const value = object[fieldSchema.name];
@@ -205,6 +329,8 @@ export class TrackerContentRenderer {
 				const wrapper = document.createElement("div");
 				wrapper.className = "tracker-editor-field";
 
+				if (fieldLocks && schema === this.schema) wrapper.appendChild(this.createLockToggle(fieldSchema.name, fieldLocks));
+
 				const label = document.createElement("label");
 				label.className = "tracker-editor-label";
 				label.textContent = `${fieldSchema.name}: `;
@@ -272,26 +398,6 @@ export class TrackerContentRenderer {
 						const nestedFields = document.createElement("div");
 						nestedFields.className = "tracker-editor-nested";
 
-						const createDefaultValues = (schema) => {
-							const obj = {};
-							for (const nestedField of Object.values(schema)) {
-								switch (nestedField.type) {
-									case this.FIELD_TYPES.STRING:
-										obj[nestedField.name] = nestedField.defaultValue || "";
-										break;
-									case this.FIELD_TYPES.ARRAY:
-										obj[nestedField.name] = nestedField.defaultValue || [];
-										break;
-									case this.FIELD_TYPES.OBJECT:
-										obj[nestedField.name] = createDefaultValues(nestedField.nestedFields);
-										break;
-									default:
-										obj[nestedField.name] = nestedField.defaultValue || "";
-								}
-							}
-							return obj;
-						};
-
 						// Existing entries
 						Object.entries(objectValue).forEach(([nestedKey, nestedValue]) => {
 							const itemWrapper = document.createElement("div");
@@ -333,7 +439,7 @@ export class TrackerContentRenderer {
 									alert("An item with that key already exists.");
 								} else {
 									// Create a new object with default values from the schema
-									const newObject = createDefaultValues(fieldSchema.nestedFields);
+									const newObject = this.createDefaultValues(fieldSchema.nestedFields);
 									objectValue[newKey] = newObject;
 									onUpdate(tracker);
 
@@ -379,31 +485,11 @@ export class TrackerContentRenderer {
 						const nestedFieldValues = Object.values(fieldSchema.nestedFields);
 						const singleStringField = nestedFieldValues.length === 1 && nestedFieldValues[0].type === this.FIELD_TYPES.STRING;
 
-						const createDefaultValues = (schema) => {
-							const obj = {};
-							for (const nestedField of Object.values(schema)) {
-								switch (nestedField.type) {
-									case this.FIELD_TYPES.STRING:
-										obj[nestedField.name] = nestedField.defaultValue || "";
-										break;
-									case this.FIELD_TYPES.ARRAY:
-										obj[nestedField.name] = nestedField.defaultValue || [];
-										break;
-									case this.FIELD_TYPES.OBJECT:
-										obj[nestedField.name] = createDefaultValues(nestedField.nestedFields);
-										break;
-									default:
-										obj[nestedField.name] = nestedField.defaultValue || "";
-								}
-							}
-							return obj;
-						};
-
 						const createDefaultArrayItem = () => {
 							if (singleStringField) {
 								return "";
 							} else {
-								return createDefaultValues(fieldSchema.nestedFields);
+								return this.createDefaultValues(fieldSchema.nestedFields);
 							}
 						};
 
@@ -510,6 +596,46 @@ export class TrackerContentRenderer {
 						wrapper.appendChild(nestedFields);
 						break;
 					}
+					case this.FIELD_TYPES.NUMBER: {
+						const input = createNumberInput(value, fieldSchema, (newVal) => {
+							object[fieldSchema.name] = newVal;
+							onUpdate(tracker);
+						});
+						wrapper.appendChild(input);
+
+						if (fieldSchema.unit) {
+							const unitSpan = document.createElement("span");
+							unitSpan.className = "tracker-editor-unit";
+							unitSpan.textContent = fieldSchema.unit;
+							wrapper.appendChild(unitSpan);
+						}
+						break;
+					}
+					case this.FIELD_TYPES.ENUM: {
+						const select = createEnumSelect(value, fieldSchema, (newVal) => {
+							object[fieldSchema.name] = newVal;
+							onUpdate(tracker);
+						});
+						wrapper.appendChild(select);
+						break;
+					}
+					case this.FIELD_TYPES.COMPUTED: {
+						// Computed fields are derived from the other fields and cannot be edited
+						const valueSpan = document.createElement("span");
+						valueSpan.className = "tracker-editor-computed";
+						valueSpan.title = fieldSchema.expression || "";
+						valueSpan.textContent = value !== undefined && value !== null ? String(value) : "";
+						wrapper.appendChild(valueSpan);
+						break;
+					}
+					case this.FIELD_TYPES.BOOLEAN: {
+						const checkbox = createCheckbox(value, (newVal) => {
+							object[fieldSchema.name] = newVal;
+							onUpdate(tracker);
+						});
+						wrapper.appendChild(checkbox);
+						break;
+					}
 					default: {
 						// Default fields (e.g., STRING)
 						const textarea = createAutoResizingTextarea(value, (newVal) => {
@@ -597,294 +723,6 @@ export class TrackerContentRenderer {
 	 * @returns {string} - The processed template string.
 	 */
 	renderTemplateString(template, data) {
-		const tokens = this.tokenizeTemplate(template);
-		return this.processTokens(tokens, data);
-	}
-
-	/**
-	 * Tokenizes the template string into an array of tokens.
-	 * @param {string} template - The template string.
-	 * @returns {Array} - The array of tokens.
-	 */
-	tokenizeTemplate(template) {
-		const tokens = [];
-		const regex = /{{\s*(\/?)\s*(#?)\s*([\w.]+|\^)\s*(.*?)\s*}}/g;
-		let cursor = 0;
-		let match;
-
-		while ((match = regex.exec(template)) !== null) {
-			const index = match.index;
-
-			// Add text tokens between placeholders.
-			if (index > cursor) {
-				tokens.push({
-					type: "text",
-					value: template.slice(cursor, index),
-				});
-			}
-
-			const [fullMatch, closingSlash, hash, tag, params] = match;
-
-			if (closingSlash) {
-				// End tag token (e.g., {{/if}})
-				tokens.push({
-					type: "end",
-					tag: tag.trim(),
-				});
-			} else if (hash) {
-				// Start tag token (e.g., {{#if condition}})
-				tokens.push({
-					type: "start",
-					tag: tag.trim(),
-					params: params.trim(),
-				});
-			} else {
-				// Variable token (e.g., {{variable}})
-				tokens.push({
-					type: "variable",
-					value: tag.trim(),
-				});
-			}
-
-			cursor = index + fullMatch.length;
-		}
-
-		// Add any remaining text after the last placeholder.
-		if (cursor < template.length) {
-			tokens.push({
-				type: "text",
-				value: template.slice(cursor),
-			});
-		}
-
-		return tokens;
-	}
-
-	/**
-	 * Processes the tokens recursively to generate the final string.
-	 * @param {Array} tokens - The array of tokens.
-	 * @param {object} data - The tracker data object.
-	 * @param {object} [context={}] - The context object for scope management.
-	 * @returns {string} - The processed string.
-	 */
-	processTokens(tokens, data, context = {}) {
-		let result = "";
-
-		while (tokens.length > 0) {
-			const token = tokens.shift();
-
-			if (token.type === "text") {
-				// Append plain text to the result.
-				result += token.value;
-			} else if (token.type === "variable") {
-				// Replace variable placeholders with actual data.
-				let value = this.getValue(token.value, data, context);
-
-				// Handle objects in variable tokens
-				if (typeof value === "object" && value !== null) {
-					if ("name" in value) {
-						value = value.name;
-					} else if ("id" in value) {
-						value = value.id;
-					} else {
-						value = context._key; // Fallback to the parent key
-					}
-				}
-				result += value !== undefined ? value : "";
-			} else if (token.type === "start") {
-				if (token.tag === "if") {
-					// Handle conditional blocks.
-					const condition = token.params;
-					const [innerTokens, remainingTokens] = this.extractInnerTokens(tokens, "if");
-					const conditionMet = this.evaluateCondition(condition, data, context);
-
-					if (conditionMet) {
-						result += this.processTokens(innerTokens, data, context);
-					}
-
-					tokens = remainingTokens;
-				} else if (token.tag === "foreach") {
-					// Handle loop blocks.
-					const params = token.params.split(/\s+/);
-					const collectionName = params[0];
-					const itemName = params[1];
-
-					const collection = this.getValue(collectionName, data, context);
-
-					if (collection && typeof collection === "object") {
-						const [innerTokens, remainingTokens] = this.extractInnerTokens(tokens, "foreach");
-
-						const items = Array.isArray(collection) ? collection : Object.entries(collection);
-
-						items.forEach(([key, item], index) => {
-							const newContext = {
-								...context,
-								[itemName]: item,
-								index,
-								_key: key,
-							};
-							result += this.processTokens([...innerTokens], data, newContext);
-						});
-
-						tokens = remainingTokens;
-					} else {
-						// Skip the foreach block if the collection is empty or not an object.
-						const [, remainingTokens] = this.extractInnerTokens(tokens, "foreach");
-						tokens = remainingTokens;
-					}
-				} else if (token.tag === "join") {
-					// Handle join operations.
-					const params = token.params.match(/^(['"])(.*?)\1\s+(.+)$/);
-					if (params) {
-						const separator = params[2];
-						const arrayName = params[3];
-						const array = this.getValue(arrayName, data, context);
-
-						if (Array.isArray(array)) {
-							result += array.join(separator);
-						} else if (array && typeof array === "object" && !Array.isArray(array)) {
-							result += Object.values(array).join(separator);
-						}
-					}
-					// 'join' does not require an end tag.
-				}
-			} else if (token.type === "end") {
-				// End tokens are handled during the extraction of inner tokens.
-				continue;
-			}
-		}
-
-		return result;
-	}
-
-	/**
-	 * Extracts inner tokens until the matching end tag is found.
-	 * @param {Array} tokens - The array of tokens.
-	 * @param {string} tagName - The tag name to match.
-	 * @returns {Array} - An array containing inner tokens and remaining tokens.
-	 * @throws {Error} - Throws an error if the end tag is not found.
-	 */
-	extractInnerTokens(tokens, tagName) {
-		let nested = 1;
-		const innerTokens = [];
-
-		while (tokens.length > 0) {
-			const token = tokens.shift();
-
-			if (token.type === "start" && token.tag === tagName) {
-				nested++;
-			} else if (token.type === "end" && token.tag === tagName) {
-				nested--;
-				if (nested === 0) {
-					return [innerTokens, tokens];
-				}
-			}
-			innerTokens.push(token);
-		}
-
-		throw new Error(`Unmatched {{#${tagName}}}`);
-	}
-
-	/**
-	 * Retrieves the value of a variable from data or context.
-	 * Supports string operations.
-	 * @param {string} variable - The variable name (can be nested using dot notation).
-	 * @param {object} data - The tracker data object.
-	 * @param {object} context - The context object.
-	 * @returns {*} - The value of the variable or undefined if not found.
-	 */
-	getValue(variable, data, context) {
-		const [path, ...operations] = variable.split("|").map((part) => part.trim());
-		const parts = path.split(".");
-		let value = Object.hasOwn(context, parts[0]) ? context[parts[0]] : data[parts[0]];
-
-		for (let i = 1; i < parts.length; i++) {
-			if (value && typeof value === "object" && parts[i] in value) {
-				value = value[parts[i]];
-			} else {
-				return undefined;
-			}
-		}
-
-		// Apply string operations if any
-		if (operations.length > 0 && typeof value === "string") {
-			value = this.applyStringOperations(value, operations);
-		}
-
-		return value;
-	}
-
-	/**
-	 * Applies string operations to a value.
-	 * @param {string} value - The string value.
-	 * @param {Array} operations - Array of operations to apply.
-	 * @returns {string} - The transformed string.
-	 */
-	applyStringOperations(value, operations) {
-		operations.forEach((operation) => {
-			if (operation === "toUpperCase()") {
-				value = value.toUpperCase();
-			} else if (operation === "toLowerCase()") {
-				value = value.toLowerCase();
-			} else if (operation === "trim()") {
-				value = value.trim();
-			} else if (operation.startsWith("substring(")) {
-				const args = operation.match(/substring\((\d+),\s*(\d+)\)/);
-				if (args) {
-					const start = parseInt(args[1], 10);
-					const end = parseInt(args[2], 10);
-					value = value.substring(start, end);
-				}
-			}
-			// Add more string operations as needed
-		});
-		return value;
-	}
-
-	/**
-	 * Evaluates a condition for the {{#if}} tag.
-	 * Supports comparison operators.
-	 * @param {string} condition - The condition string.
-	 * @param {object} data - The tracker data object.
-	 * @param {object} context - The context object.
-	 * @returns {boolean} - The result of the condition evaluation.
-	 */
-	evaluateCondition(condition, data, context) {
-		const operators = ["==", "!=", ">", "<", ">=", "<="];
-		let operatorFound = null;
-
-		for (const op of operators) {
-			if (condition.includes(op)) {
-				operatorFound = op;
-				break;
-			}
-		}
-
-		if (operatorFound) {
-			const [left, right] = condition.split(operatorFound).map((part) => part.trim());
-			const leftValue = this.getValue(left, data, context);
-			const rightValue = right.replace(/^['"]|['"]$/g, ""); // Remove quotes
-
-			switch (operatorFound) {
-				case "==":
-					return leftValue == rightValue;
-				case "!=":
-					return leftValue != rightValue;
-				case ">":
-					return leftValue > rightValue;
-				case "<":
-					return leftValue < rightValue;
-				case ">=":
-					return leftValue >= rightValue;
-				case "<=":
-					return leftValue <= rightValue;
-				default:
-					return false;
-			}
-		} else {
-			// If no operator, check truthiness
-			const value = this.getValue(condition, data, context);
-			return !!value;
-		}
+		return renderTemplate(template, data);
 	}
 }
@@ -2,6 +2,8 @@ import { chat } from "../../../../../../../script.js";
 import { extensionSettings } from "../../../index.js";
 import { debug, log, warn } from "../../../lib/utils.js";
 import { PREVIEW_PLACEMENT } from "../../settings/defaultSettings.js";
+import { regenerateStaleTrackers } from "../../staleTrackers.js";
+import { getSceneBoundary, SCENE_RESETS } from "../../sceneBoundaries.js";
 
 export class TrackerPreview {
     constructor(messageId, trackerContentRenderer) {
@@ -67,6 +69,28 @@ export class TrackerPreview {
         this.previewElement.className = 'mes_tracker';
         this.previewElement.innerHTML = previewHtml;
 
+        const lowConfidenceFields = this.getLowConfidenceFields();
+        if (lowConfidenceFields.length > 0) {
+            const notice = document.createElement('div');
+            notice.className = 'tracker-low-confidence';
+            notice.textContent = `Low confidence: ${lowConfidenceFields.join(', ')}`;
+            notice.title = 'The tracker samples disagreed on these fields. Percentages show how much they agreed.';
+            this.previewElement.appendChild(notice);
+        }
+
+        if (this.tracker._stale) this.previewElement.appendChild(this.createStaleNotice());
+
+        const sceneBoundary = getSceneBoundary(this.messageId);
+        if (sceneBoundary) {
+            const notice = document.createElement('div');
+            notice.className = 'tracker-scene-boundary';
+            const fields = sceneBoundary.fields ? sceneBoundary.fields.join(', ') : 'all dynamic fields';
+            const reset = sceneBoundary.reset === SCENE_RESETS.TEMPLATE ? 'the scene start template' : 'their defaults';
+            notice.textContent = `New scene: ${fields} reset to ${reset}.`;
+            notice.title = 'Trackers from this message on start from here, without looking back at the messages before it.';
+            this.previewElement.appendChild(notice);
+        }
+
         const targetSelector = extensionSettings.trackerPreviewSelector;
         const placement = extensionSettings.trackerPreviewPlacement;
 
@@ -91,6 +115,44 @@ export class TrackerPreview {
         }
     }
 
+    /**
+     * Lists the fields whose tracker samples agreed less than the low confidence threshold.
+     * @returns {string[]} The field paths with their agreement.
+     */
+    getLowConfidenceFields() {
+        const confidence = this.tracker?._confidence;
+        if (!confidence) return [];
+        return Object.entries(confidence)
+            .filter(([, agreement]) => agreement < extensionSettings.lowConfidenceThreshold)
+            .map(([path, agreement]) => `${path.replace(/^\$\.?/, '')} (${Math.round(agreement * 100)}%)`);
+    }
+
+    /**
+     * Creates the notice of a stale tracker, with a button regenerating the stale trackers of the chat.
+     * @returns {HTMLElement} The notice.
+     */
+    createStaleNotice() {
+        const notice = document.createElement('div');
+        notice.className = 'tracker-stale';
+        notice.textContent = 'Stale: the messages this tracker was generated from changed. ';
+        notice.title = 'A message before this tracker was edited, deleted or swiped after the tracker was generated.';
+
+        const regenerateButton = document.createElement('span');
+        regenerateButton.className = 'tracker-stale-regenerate';
+        regenerateButton.textContent = 'Regenerate';
+        regenerateButton.title = 'Regenerate the stale trackers of this chat';
+        regenerateButton.onclick = async () => {
+            try {
+                await regenerateStaleTrackers();
+            } catch (e) {
+                toastr.error(e.message);
+            }
+        };
+        notice.appendChild(regenerateButton);
+
+        return notice;
+    }
+
     /**
      * Updates the preview manually when the tracker changes.
      */
@@ -1,16 +1,19 @@
 import { debug, error, warn } from "../../../lib/utils.js";
+import { parseExpression } from "../../../lib/expressionEvaluator.js";
 
 export class TrackerPromptMaker {
 	/**
 	 * Constructor for TrackerPromptMaker.
 	 * @param {Object} existingObject - Optional existing JSON object to prepopulate the component.
 	 * @param {Function} onTrackerPromptSave - Callback function invoked when the backend object is updated.
+	 * @param {number} firstFreeFieldIndex - Lowest index new field IDs may use, so IDs of fields removed in earlier versions are not reused.
 	 */
-	constructor(existingObject = {}, onTrackerPromptSave = () => {}) {
+	constructor(existingObject = {}, onTrackerPromptSave = () => {}, firstFreeFieldIndex = 0) {
 		this.backendObject = {}; // Internal representation of the prompt structure.
 		this.onTrackerPromptSave = onTrackerPromptSave; // Save callback.
 		this.element = $('<div class="tracker-prompt-maker"></div>'); // Root element of the component.
-		this.fieldCounter = 0; // Counter to generate unique field IDs.
+		this.firstFreeFieldIndex = firstFreeFieldIndex;
+		this.fieldCounter = firstFreeFieldIndex; // Counter to generate unique field IDs.
 		this.exampleCounter = 0;
 		this.init(existingObject); // Initialize the component.
 	}
@@ -18,6 +21,10 @@ export class TrackerPromptMaker {
 	static get FIELD_TYPES() {
 		return {
 			STRING: "String",
+			NUMBER: "Number",
+			ENUM: "Enum",
+			BOOLEAN: "Boolean",
+			COMPUTED: "Computed",
 			ARRAY: "Array",
 			OBJECT: "Object",
 			FOR_EACH_OBJECT: "For Each Object",
@@ -30,6 +37,16 @@ export class TrackerPromptMaker {
 		return ["OBJECT", "FOR_EACH_OBJECT", "FOR_EACH_ARRAY", "ARRAY_OBJECT"];
 	}
 
+	static get UPDATE_POLICIES() {
+		return {
+			replace: "Always Replace",
+			if_changed: "Keep Unless Changed",
+			append: "Append",
+			never: "Never Overwrite",
+			manual: "Manual Only",
+		};
+	}
+
 	static get FIELD_INCLUDE_OPTIONS() {
 		return {
 			DYNAMIC: "dynamic",
@@ -207,6 +224,18 @@ export class TrackerPromptMaker {
 		const staticDynamicToggleLabel = $(`<label for="${dynamicInputId}">Dynamic:</label>`);
 		const staticDynamicDiv = $('<div class="static-dynamic-wrapper"></div>').append(staticDynamicToggleLabel, dynamicInput);
 
+		// Inject Toggle with label
+		const injectInputId = `${fieldId}_injectIntoPrompt`;
+		const injectInput = $(`<input type="checkbox" id="${injectInputId}">`)
+			.prop("checked", fieldData.injectIntoPrompt ?? true)
+			.on("change", (e) => {
+				const currentFieldId = fieldWrapper.attr("data-field-id");
+				this.toggleInjectIntoPrompt(e.target.checked, currentFieldId);
+				this.syncBackendObject();
+			});
+		const injectToggleLabel = $(`<label for="${injectInputId}" title="Include this field in the tracker injected into the roleplay prompt">Inject:</label>`);
+		const injectDiv = $('<div class="inject-wrapper"></div>').append(injectToggleLabel, injectInput);
+
 		// Field Type Selector with label
 		const fieldTypeLabel = $("<label>Field Type:</label>");
 		const fieldTypeKey = fieldData.type || "STRING";
@@ -225,12 +254,93 @@ export class TrackerPromptMaker {
 			});
 		const fieldTypeDiv = $('<div class="field-type-wrapper"></div>').append(fieldTypeLabel, fieldTypeSelector);
 
-		// Append field name, static/dynamic toggle, and field type to the combined div
-		nameDynamicTypeDiv.append(fieldNameDiv, staticDynamicDiv, fieldTypeDiv);
+		// Update Policy Selector with label
+		const updatePolicyLabel = $('<label title="How generated updates are applied to this field">Update:</label>');
+		const updatePolicySelector = $(`
+            <select>
+                ${Object.entries(TrackerPromptMaker.UPDATE_POLICIES)
+					.map(([key, value]) => `<option value="${key}">${value}</option>`)
+					.join("")}
+            </select>
+        `)
+			.val(fieldData.updatePolicy || "replace")
+			.on("change", (e) => {
+				const currentFieldId = fieldWrapper.attr("data-field-id");
+				this.updateUpdatePolicy(e.target.value, currentFieldId);
+				this.syncBackendObject();
+			});
+		const updatePolicyDiv = $('<div class="update-policy-wrapper"></div>').append(updatePolicyLabel, updatePolicySelector);
+
+		// Append field name, static/dynamic and inject toggles, field type and update policy to the combined div
+		nameDynamicTypeDiv.append(fieldNameDiv, staticDynamicDiv, injectDiv, fieldTypeDiv, updatePolicyDiv);
 
 		// Append the combined div to fieldWrapper
 		fieldWrapper.append(nameDynamicTypeDiv);
 
+		// Aliases, alternative keys accepted for this field when reconciling generated trackers
+		const aliasesInput = $('<input type="text" class="text_pole" placeholder="characters_present, Present Characters">')
+			.val((fieldData.aliases || []).join(", "))
+			.on("input", (e) => {
+				const currentFieldId = fieldWrapper.attr("data-field-id");
+				this.updateAliases(e.target.value, currentFieldId);
+				this.syncBackendObject();
+			});
+		const aliasesDiv = $('<div class="aliases-wrapper"></div>').append($('<label title="Other keys the model may use for this field, matched ignoring case, spaces and underscores">Aliases:</label>'), aliasesInput);
+		fieldWrapper.append(aliasesDiv);
+
+		// Number options (min, max, step, unit), only shown for NUMBER fields
+		const numberOptionsDiv = $('<div class="number-options-wrapper"></div>');
+		const numberOptions = [
+			{ key: "min", label: "Min:", inputType: "number" },
+			{ key: "max", label: "Max:", inputType: "number" },
+			{ key: "step", label: "Step:", inputType: "number" },
+			{ key: "unit", label: "Unit:", inputType: "text" },
+		];
+		numberOptions.forEach(({ key, label, inputType }) => {
+			const optionInput = $(`<input type="${inputType}" class="text_pole" data-option="${key}">`)
+				.val(fieldData[key] ?? "")
+				.on("input", (e) => {
+					const currentFieldId = fieldWrapper.attr("data-field-id");
+					this.updateNumberOption(key, e.target.value, currentFieldId);
+					this.syncBackendObject();
+				});
+			numberOptionsDiv.append($(`<label>${label}</label>`), optionInput);
+		});
+		numberOptionsDiv.toggle(fieldTypeKey === "NUMBER");
+		fieldWrapper.append(numberOptionsDiv);
+
+		// Enum options (allowed values and synonyms), only shown for ENUM fields
+		const enumOptionsDiv = $('<div class="enum-options-wrapper"></div>');
+		const enumOptions = [
+			{ key: "allowedValues", label: "Allowed Values:", placeholder: "Morning, Afternoon, Evening, Night" },
+			{ key: "synonyms", label: "Synonyms:", placeholder: "dawn=Morning, dusk=Evening" },
+		];
+		enumOptions.forEach(({ key, label, placeholder }) => {
+			const optionInput = $(`<input type="text" class="text_pole" data-option="${key}" placeholder="${placeholder}">`)
+				.val(TrackerPromptMaker.formatEnumOption(key, fieldData[key]))
+				.on("input", (e) => {
+					const currentFieldId = fieldWrapper.attr("data-field-id");
+					this.updateEnumOption(key, e.target.value, currentFieldId);
+					this.syncBackendObject();
+				});
+			enumOptionsDiv.append($(`<label>${label}</label>`), optionInput);
+		});
+		enumOptionsDiv.toggle(fieldTypeKey === "ENUM");
+		fieldWrapper.append(enumOptionsDiv);
+
+		// Computed options (expression), only shown for COMPUTED fields
+		const computedOptionsDiv = $('<div class="computed-options-wrapper"></div>');
+		const expressionInput = $('<input type="text" class="text_pole" data-option="expression" placeholder=\'len(CharactersPresent) or Location + " - " + Weather\'>')
+			.val(fieldData.expression || "")
+			.on("input", (e) => {
+				const currentFieldId = fieldWrapper.attr("data-field-id");
+				this.updateExpression(e.target.value, currentFieldId, $(e.target));
+				this.syncBackendObject();
+			});
+		computedOptionsDiv.append($("<label>Expression:</label>"), expressionInput);
+		computedOptionsDiv.toggle(fieldTypeKey === "COMPUTED");
+		fieldWrapper.append(computedOptionsDiv);
+
 		// Prompt, Default Value, and Example Values Wrapper
 		const promptDefaultExampleWrapper = $('<div class="prompt-default-example-wrapper"></div>');
 
@@ -318,28 +428,12 @@ export class TrackerPromptMaker {
 		if (parentFieldId) {
 			const parentFieldData = this.getFieldDataById(parentFieldId);
 			if (parentFieldData) {
-				parentFieldData.nestedFields[fieldId] = {
-					name: fieldData.name || "",
-					type: fieldData.type || "STRING",
-					isDynamic: fieldData.isDynamic ?? true,
-					prompt: fieldData.prompt || "",
-					defaultValue: fieldData.defaultValue || "",
-					exampleValues: [...fieldData.exampleValues],
-					nestedFields: {},
-				};
+				parentFieldData.nestedFields[fieldId] = this.createFieldBackendData(fieldData);
 			} else {
 				error(`Parent field with ID ${parentFieldId} not found.`);
 			}
 		} else {
-			this.backendObject[fieldId] = {
-				name: fieldData.name || "",
-				type: fieldData.type || "STRING",
-				isDynamic: fieldData.isDynamic ?? true,
-				prompt: fieldData.prompt || "",
-				defaultValue: fieldData.defaultValue || "",
-				exampleValues: [...fieldData.exampleValues],
-				nestedFields: {},
-			};
+			this.backendObject[fieldId] = this.createFieldBackendData(fieldData);
 		}
 
 		// Make nested fields sortable if this field type allows nesting
@@ -438,6 +532,9 @@ export class TrackerPromptMaker {
 			const addNestedFieldBtn = fieldWrapper.find(".menu_button:contains('Add Nested Field')");
 			const isNestingType = TrackerPromptMaker.NESTING_FIELD_TYPES.includes(type);
 			addNestedFieldBtn.toggle(isNestingType);
+			fieldWrapper.children(".number-options-wrapper").toggle(type === "NUMBER");
+			fieldWrapper.children(".enum-options-wrapper").toggle(type === "ENUM");
+			fieldWrapper.children(".computed-options-wrapper").toggle(type === "COMPUTED");
 		} else {
 			error(`Field with ID ${fieldId} not found during type selection.`);
 		}
@@ -458,6 +555,63 @@ export class TrackerPromptMaker {
 		}
 	}
 
+	/**
+	 * Toggles whether the field is included in the tracker injected into the prompt.
+	 * @param {boolean} injectIntoPrompt - Whether the field is injected.
+	 * @param {string} fieldId - The ID of the field being updated.
+	 */
+	toggleInjectIntoPrompt(injectIntoPrompt, fieldId) {
+		const fieldData = this.getFieldDataById(fieldId);
+		if (fieldData) {
+			fieldData.injectIntoPrompt = injectIntoPrompt;
+			debug(`Toggled prompt injection to ${injectIntoPrompt} for field ID: ${fieldId}`);
+		} else {
+			error(`Field with ID ${fieldId} not found during toggle.`);
+		}
+	}
+
+	/**
+	 * Updates the update policy for the field.
+	 * @param {string} updatePolicy - The selected update policy.
+	 * @param {string} fieldId - The ID of the field being updated.
+	 */
+	updateUpdatePolicy(updatePolicy, fieldId) {
+		const fieldData = this.getFieldDataById(fieldId);
+		if (fieldData) {
+			fieldData.updatePolicy = updatePolicy;
+			debug(`Updated update policy to ${updatePolicy} for field ID: ${fieldId}`);
+		} else {
+			error(`Field with ID ${fieldId} not found during update policy change.`);
+		}
+	}
+
+	/**
+	 * Updates the aliases for the field.
+	 * @param {string} aliasesText - Comma-separated list of aliases.
+	 * @param {string} fieldId - The ID of the field being updated.
+	 */
+	updateAliases(aliasesText, fieldId) {
+		const fieldData = this.getFieldDataById(fieldId);
+		if (fieldData) {
+			fieldData.aliases = TrackerPromptMaker.parseAliases(aliasesText);
+			debug(`Updated aliases for field ID: ${fieldId}`, fieldData.aliases);
+		} else {
+			error(`Field with ID ${fieldId} not found during aliases update.`);
+		}
+	}
+
+	/**
+	 * Parses a comma-separated list of aliases.
+	 * @param {string} aliasesText - The raw input value.
+	 * @returns {string[]} - The trimmed, non-empty aliases.
+	 */
+	static parseAliases(aliasesText) {
+		return (aliasesText || "")
+			.split(",")
+			.map((alias) => alias.trim())
+			.filter((alias) => alias !== "");
+	}
+
 	/**
 	 * Updates the prompt or note for the field.
 	 * @param {string} promptText - The prompt text entered by the user.
@@ -473,6 +627,150 @@ export class TrackerPromptMaker {
 		}
 	}
 
+	/**
+	 * Updates a number option (min, max, step or unit) for the field.
+	 * @param {string} option - The option key.
+	 * @param {string} value - The value entered by the user.
+	 * @param {string} fieldId - The ID of the field being updated.
+	 */
+	updateNumberOption(option, value, fieldId) {
+		const fieldData = this.getFieldDataById(fieldId);
+		if (fieldData) {
+			fieldData[option] = TrackerPromptMaker.parseNumberOption(option, value);
+			debug(`Updated number option ${option} for field ID: ${fieldId}`);
+		} else {
+			error(`Field with ID ${fieldId} not found during number option update.`);
+		}
+	}
+
+	/**
+	 * Converts a number option input value to its stored representation.
+	 * @param {string} option - The option key.
+	 * @param {string} value - The raw input value.
+	 * @returns {number|string|null} - The parsed number, the unit string, or null if empty.
+	 */
+	static parseNumberOption(option, value) {
+		if (option === "unit") return value || "";
+		const number = parseFloat(value);
+		return isNaN(number) ? null : number;
+	}
+
+	/**
+	 * Updates an enum option (allowed values or synonyms) for the field.
+	 * @param {string} option - The option key.
+	 * @param {string} value - The value entered by the user.
+	 * @param {string} fieldId - The ID of the field being updated.
+	 */
+	updateEnumOption(option, value, fieldId) {
+		const fieldData = this.getFieldDataById(fieldId);
+		if (fieldData) {
+			fieldData[option] = TrackerPromptMaker.parseEnumOption(option, value);
+			debug(`Updated enum option ${option} for field ID: ${fieldId}`);
+		} else {
+			error(`Field with ID ${fieldId} not found during enum option update.`);
+		}
+	}
+
+	/**
+	 * Updates the expression of a computed field and flags the input if the expression does not parse.
+	 * @param {string} expression - The expression entered by the user.
+	 * @param {string} fieldId - The ID of the field being updated.
+	 * @param {jQuery} input - The expression input element.
+	 */
+	updateExpression(expression, fieldId, input) {
+		const fieldData = this.getFieldDataById(fieldId);
+		if (!fieldData) {
+			error(`Field with ID ${fieldId} not found during expression update.`);
+			return;
+		}
+
+		fieldData.expression = expression;
+		try {
+			if (expression.trim() !== "") parseExpression(expression);
+			input.removeClass("invalid-expression").attr("title", "");
+		} catch (e) {
+			input.addClass("invalid-expression").attr("title", e.message);
+		}
+		debug(`Updated expression for field ID: ${fieldId}`);
+	}
+
+	/**
+	 * Converts an enum option input value to its stored representation.
+	 * Allowed values are comma separated, synonyms are comma separated `synonym=Value` pairs.
+	 * @param {string} option - The option key.
+	 * @param {string} value - The raw input value.
+	 * @returns {Array|Object} - The allowed values array or the synonyms map.
+	 */
+	static parseEnumOption(option, value) {
+		const entries = (value || "")
+			.split(",")
+			.map((entry) => entry.trim())
+			.filter((entry) => entry !== "");
+		if (option === "synonyms") {
+			const synonyms = {};
+			entries.forEach((entry) => {
+				const [synonym, target] = entry.split("=").map((part) => part.trim());
+				if (synonym && target) synonyms[synonym] = target;
+			});
+			return synonyms;
+		}
+		return entries;
+	}
+
+	/**
+	 * Converts a stored enum option to its input value.
+	 * @param {string} option - The option key.
+	 * @param {Array|Object} value - The stored allowed values or synonyms.
+	 * @returns {string} - The input value.
+	 */
+	static formatEnumOption(option, value) {
+		if (option === "synonyms") {
+			return Object.entries(value || {})
+				.map(([synonym, target]) => `${synonym}=${target}`)
+				.join(", ");
+		}
+		return (value || []).join(", ");
+	}
+
+	/**
+	 * Builds the backend representation of a field from the provided field data.
+	 * Nested fields are left empty; they are added as the nested fields are built.
+	 * @param {Object} fieldData - The field data to normalize.
+	 * @returns {Object} - The backend field object.
+	 */
+	createFieldBackendData(fieldData) {
+		const backendData = {
+			name: fieldData.name || "",
+			type: fieldData.type || "STRING",
+			isDynamic: fieldData.isDynamic ?? true,
+			injectIntoPrompt: fieldData.injectIntoPrompt ?? true,
+			prompt: fieldData.prompt || "",
+			defaultValue: fieldData.defaultValue || "",
+			exampleValues: [...(fieldData.exampleValues || [])],
+			nestedFields: {},
+			updatePolicy: fieldData.updatePolicy || "replace",
+			aliases: [...(fieldData.aliases || [])],
+		};
+
+		if (backendData.type === "NUMBER") {
+			backendData.min = fieldData.min ?? null;
+			backendData.max = fieldData.max ?? null;
+			backendData.step = fieldData.step ?? null;
+			backendData.unit = fieldData.unit || "";
+		}
+
+		if (backendData.type === "ENUM") {
+			backendData.allowedValues = [...(fieldData.allowedValues || [])];
+			backendData.synonyms = { ...(fieldData.synonyms || {}) };
+		}
+
+		if (backendData.type === "COMPUTED") {
+			backendData.expression = fieldData.expression || "";
+		}
+
+		return backendData;
+	}
+
 	/**
 	 * Updates the default value for the field.
 	 * @param {string} defaultValue - The default value entered by the user.
@@ -649,7 +947,7 @@ export class TrackerPromptMaker {
 		try {
 			// Clear existing backend object and reset field counter
 			this.backendObject = {};
-			this.fieldCounter = 0;
+			this.fieldCounter = this.firstFreeFieldIndex;
 			this.exampleCounter = 0;
 
 			const collectExampleCount = (obj) => {
@@ -718,23 +1016,33 @@ export class TrackerPromptMaker {
 	/**
 	 * Rebuilds the backend object from the current DOM order, ensuring keys match the order.
 	 * This is called after sorting or after removal of fields to ensure keys reflect new order.
+	 * Field IDs are kept stable so stored trackers can be migrated when a field is renamed or moved.
 	 */
 	rebuildBackendObjectFromDOM() {
-		// Reset a global rebuild counter
+		// Track the highest field index so new fields never reuse an existing ID
 		let rebuildCounter = 0;
+		const usedIds = new Set();
 
 		const rebuildObject = (container) => {
 			const newObject = {};
 			container.children(".field-wrapper").each((_, fieldEl) => {
 				const $fieldEl = $(fieldEl);
 
-				// Use the global rebuildCounter rather than the index
-				const fieldId = `field-${rebuildCounter++}`;
+				// Keep the existing field ID, only assigning a new one if it is missing or duplicated
+				let fieldId = $fieldEl.attr("data-field-id");
+				if (!fieldId || usedIds.has(fieldId) || isNaN(parseInt(fieldId.split("-")[1]))) {
+					fieldId = `field-${Math.max(rebuildCounter, this.fieldCounter)}`;
+				}
+				usedIds.add(fieldId);
+				rebuildCounter = Math.max(rebuildCounter, parseInt(fieldId.split("-")[1]) + 1);
 
 				const fieldName = $fieldEl.find(".field-name-wrapper input").val() || "";
 				const isDynamic = $fieldEl.find(".static-dynamic-wrapper input[type=checkbox]").is(":checked");
+				const injectIntoPrompt = $fieldEl.find("> .name-dynamic-type-wrapper > .inject-wrapper input[type=checkbox]").is(":checked");
 				const typeKey = $fieldEl.find(".field-type-wrapper select").val();
 				const fieldType = typeKey || "STRING";
+				const updatePolicy = $fieldEl.find("> .name-dynamic-type-wrapper > .update-policy-wrapper select").val() || "replace";
+				const aliases = TrackerPromptMaker.parseAliases($fieldEl.find("> .aliases-wrapper input").val());
 				const prompt = $fieldEl.find(".prompt-wrapper textarea").val() || "";
 				const defaultValue = $fieldEl.find(".default-value-wrapper input").val() || "";
 
@@ -743,7 +1051,7 @@ export class TrackerPromptMaker {
 					exampleValues.push($(inp).val() || "");
 				});
 
-				// Rename the data-field-id attribute to maintain consistency
+				// Update the data-field-id attribute in case a new ID was assigned
 				$fieldEl.attr("data-field-id", fieldId);
 
 				// Rebuild nested fields recursively
@@ -757,20 +1065,41 @@ export class TrackerPromptMaker {
 					name: fieldName,
 					type: fieldType,
 					isDynamic: isDynamic,
+					injectIntoPrompt: injectIntoPrompt,
 					prompt: prompt,
 					defaultValue: defaultValue,
 					exampleValues: exampleValues,
 					nestedFields: nestedFields,
+					updatePolicy: updatePolicy,
+					aliases: aliases,
 				};
+
+				if (fieldType === "NUMBER") {
+					$fieldEl.find("> .number-options-wrapper input").each((__, inp) => {
+						const option = $(inp).attr("data-option");
+						newObject[fieldId][option] = TrackerPromptMaker.parseNumberOption(option, $(inp).val());
+					});
+				}
+
+				if (fieldType === "ENUM") {
+					$fieldEl.find("> .enum-options-wrapper input").each((__, inp) => {
+						const option = $(inp).attr("data-option");
+						newObject[fieldId][option] = TrackerPromptMaker.parseEnumOption(option, $(inp).val());
+					});
+				}
+
+				if (fieldType === "COMPUTED") {
+					newObject[fieldId].expression = $fieldEl.find("> .computed-options-wrapper input").val() || "";
+				}
 			});
 			return newObject;
 		};
 
-		// Rebuild the entire backend object using the global counter
+		// Rebuild the entire backend object in DOM order
 		this.backendObject = rebuildObject(this.fieldsContainer);
 
 		// Update fieldCounter to one plus the highest index found
-		this.fieldCounter = rebuildCounter;
+		this.fieldCounter = Math.max(this.fieldCounter, rebuildCounter);
 
 		// Update exampleCounter (max of any field's exampleValues length)
 		let maxExampleCount = 0;
@@ -4,8 +4,10 @@ import { loadMovingUIState } from "../../../../../../scripts/power-user.js";
 import { extensionSettings } from "../../index.js";
 import { error, getPreviousNonSystemMessageIndex, getLastNonSystemMessageIndex, debug } from "../../lib/utils.js";
 import { generateTracker } from "../generation.js";
-import { FIELD_INCLUDE_OPTIONS, getTracker, OUTPUT_FORMATS, saveTracker } from "../trackerDataHandler.js";
+import { FIELD_INCLUDE_OPTIONS, getTracker, OUTPUT_FORMATS, saveTracker, validateTracker } from "../trackerDataHandler.js";
 import { TrackerContentRenderer } from './components/trackerContentRenderer.js';
+import { getFieldLock, LOCK_LEVELS, setFieldLock } from "../fieldLocks.js";
+import { toggleSceneBoundary } from "../sceneBoundaries.js";
 
 export class TrackerInterface {
     constructor() {
@@ -51,6 +53,7 @@ export class TrackerInterface {
             <div id="trackerUIClose" class="fa-solid fa-circle-xmark hoverglow dragClose"></div>
         </div>`;
         const editorHeader = `<div id="trackerUIHeader">Tracker</div>`;
+        const editorWarnings = `<div id="trackerUIWarnings" class="tracker-validation-warnings"></div>`;
         const editorContainer = `<div id="trackerUIContents" class="scrollY"></div>`;
         const editorFooter = `<div id="trackerUIFooter">
             <button id="trackerUIViewButton" class="menu_button menu_button_default interactable" tabindex="0">View</button>
@@ -65,7 +68,7 @@ export class TrackerInterface {
 
         const newElement = $(template);
         newElement.attr("id", "trackerInterface").removeClass("zoomed_avatar").addClass("draggable").empty();
-        newElement.append(controlBarHtml).append(editorHeader).append(editorContainer).append(editorFooter);
+        newElement.append(controlBarHtml).append(editorHeader).append(editorWarnings).append(editorContainer).append(editorFooter);
         $("#movingDivs").append(newElement);
 
         // Load UI state and make draggable
@@ -83,6 +86,7 @@ export class TrackerInterface {
         // Store references
         this.container = newElement;
         this.editorHeader = newElement.find('#trackerUIHeader');
+        this.warningsArea = newElement.find('#trackerUIWarnings');
         this.contentArea = newElement.find('#trackerUIContents');
         this.viewButton = newElement.find('#trackerUIViewButton');
         this.editButton = newElement.find('#trackerUIEditButton');
@@ -101,9 +105,15 @@ export class TrackerInterface {
     refreshContent(mode = 'view') {
         this.contentArea.empty();
         this.editorHeader.text('Tracker' + (this.mesId ? ` - Message ${this.mesId}` : ''));
+        this.refreshWarnings();
+
+        const fieldLocks = chat[this.mesId] ? {
+            getLock: (fieldName) => getFieldLock(this.mesId, fieldName),
+            onToggle: (fieldName) => this.toggleFieldLock(fieldName),
+        } : null;
 
         if (mode === 'view') {
-            const contentElement = this.renderer.renderDefaultView(this.tracker);
+            const contentElement = this.renderer.renderDefaultView(this.tracker, fieldLocks);
             this.contentArea.append(contentElement);
         } else if (mode === 'edit') {
             const contentElement = this.renderer.renderEditorView(this.tracker, (updatedTracker) => {
@@ -111,11 +121,57 @@ export class TrackerInterface {
                 if (this.onSave) {
                     this.onSave(this.tracker);
                 }
-            });
+            }, fieldLocks);
             this.contentArea.append(contentElement);
         }
     }
 
+    /**
+     * Cycles the lock of a field: unlocked, locked from this message on, locked in the whole chat.
+     * @param {string} fieldName - The name of the top-level field.
+     */
+    async toggleFieldLock(fieldName) {
+        const hasTracker = Object.keys(chat[this.mesId]?.tracker ?? {}).length !== 0;
+        const nextLevel = {
+            [LOCK_LEVELS.MESSAGE]: LOCK_LEVELS.CHAT,
+            [LOCK_LEVELS.CHAT]: null,
+        };
+        const lock = getFieldLock(this.mesId, fieldName);
+        const level = lock ? nextLevel[lock] : hasTracker ? LOCK_LEVELS.MESSAGE : LOCK_LEVELS.CHAT;
+
+        try {
+            await setFieldLock(this.mesId, fieldName, level);
+        } catch (e) {
+            toastr.error(e.message);
+            error('Failed to lock field:', e);
+        }
+        this.refreshContent(this.mode);
+    }
+
+    /**
+     * Validates the stored tracker against the tracker definition and lists any problems above the content.
+     */
+    refreshWarnings() {
+        this.warningsArea.empty();
+
+        const storedTracker = chat[this.mesId]?.tracker ?? this.tracker;
+        if (!storedTracker) return this.warningsArea.hide();
+
+        const problems = validateTracker(storedTracker, extensionSettings.trackerDef);
+        if (problems.length === 0) return this.warningsArea.hide();
+
+        const details = $('<details></details>');
+        details.append(`<summary><i class="fa-solid fa-triangle-exclamation"></i> ${problems.length} validation warning${problems.length === 1 ? '' : 's'}</summary>`);
+        const list = $('<ul></ul>');
+        problems.forEach((problem) => {
+            const item = $('<li></li>').attr('data-type', problem.type);
+            item.append($('<code></code>').text(problem.path), ' ', $('<span></span>').text(problem.message));
+            list.append(item);
+        });
+        details.append(list);
+        this.warningsArea.append(details).show();
+    }
+
     /**
      * Switches between 'view' and 'edit' modes.
      * @param {string} mode - The mode to switch to ('view' or 'edit').
@@ -249,6 +305,23 @@ export class TrackerInterface {
         `);
         $("#message_template .mes_buttons .extraMesButtons").prepend(showMessageTrackerButton);
 
+        // Add scene boundary button to message template
+        const sceneBoundaryButton = $(`
+            <div title="Toggle Tracker Scene Boundary" class="mes_button mes_tracker_scene_button fa-solid fa-clapperboard interactable" tabindex="0"></div>
+        `);
+        $("#message_template .mes_buttons .extraMesButtons").prepend(sceneBoundaryButton);
+
+        // Scene boundary button event
+        $(document).on("click", ".mes_tracker_scene_button", async function () {
+            const mesId = Number($(this).closest(".mes").attr("mesid"));
+            try {
+                await toggleSceneBoundary(mesId);
+            } catch (e) {
+                toastr.error(e.message);
+                error('Failed to set scene boundary:', e);
+            }
+        });
+
         // Message tracker button event
         $(document).on("click", ".mes_tracker_button", function () {
             const messageBlock = $(this).closest(".mes");
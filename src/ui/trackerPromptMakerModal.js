@@ -9,16 +9,21 @@ export class TrackerPromptMakerModal {
         this.modal = null;
         this.tracker = null;
         this.onSave = null;
+        this.onClose = null;
     }
 
     /**
      * Displays the modal with the provided tracker object and onSave callback.
      * @param {object} tracker - The tracker definition object to edit.
      * @param {function} onSave - Callback function to handle the updated tracker.
+     * @param {function} [onClose] - Optional callback invoked once the modal is closed.
+     * @param {number} [firstFreeFieldIndex] - Lowest index new field IDs may use.
      */
-    show(tracker, onSave) {
+    show(tracker, onSave, onClose = null, firstFreeFieldIndex = 0) {
         this.tracker = tracker;
         this.onSave = onSave;
+        this.onClose = onClose;
+        this.firstFreeFieldIndex = firstFreeFieldIndex;
 
         if (!this.modal) {
             this.createModal();
@@ -70,7 +75,7 @@ export class TrackerPromptMakerModal {
             if (this.onSave) {
                 this.onSave(updatedTracker);
             }
-        });
+        }, this.firstFreeFieldIndex);
 
         // Append the TrackerPromptMaker element to the modal content
         $(this.modalContent).append(trackerPromptMaker.getElement());
@@ -85,6 +90,9 @@ export class TrackerPromptMakerModal {
             document.body.removeChild(this.modal);
             this.modal = null;
             TrackerPromptMakerModal.instance = null;
+            if (this.onClose) {
+                this.onClose();
+            }
         }
     }
 }
@@ -0,0 +1,107 @@
+export class TrackerPromptPreviewModal {
+	constructor() {
+		if (TrackerPromptPreviewModal.instance) {
+			return TrackerPromptPreviewModal.instance;
+		}
+		TrackerPromptPreviewModal.instance = this;
+		this.modal = null;
+		this.mesId = null;
+		this.stages = [];
+	}
+
+	/**
+	 * Displays the assembled tracker prompts of each generation stage with their token counts.
+	 * @param {number} mesId - The message the tracker would be generated for.
+	 * @param {Array<{stage: string, systemPrompt: string, requestPrompt: string, systemTokens: number, requestTokens: number}>} stages - The prompts of each stage.
+	 */
+	show(mesId, stages) {
+		this.mesId = mesId;
+		this.stages = stages;
+
+		if (!this.modal) {
+			this.createModal();
+		}
+
+		this.updateContent();
+		if (!this.modal.open) {
+			document.body.appendChild(this.modal);
+			this.modal.showModal();
+		}
+	}
+
+	/**
+	 * Creates the modal dialog elements.
+	 */
+	createModal() {
+		this.modal = document.createElement("dialog");
+		this.modal.className = "tracker-prompt-preview-modal popup popup--animation-fast";
+
+		// Control Bar
+		const modalControlBar = document.createElement("div");
+		modalControlBar.className = "tracker-modal-control-bar";
+
+		// Close Button
+		const modalCloseButton = document.createElement("div");
+		modalCloseButton.id = "TrackerPromptPreviewModalClose";
+		modalCloseButton.className = "fa-solid fa-circle-xmark hoverglow";
+		modalCloseButton.onclick = () => {
+			this.close();
+		};
+		modalControlBar.appendChild(modalCloseButton);
+
+		// Content Area
+		this.modalContent = document.createElement("div");
+		this.modalContent.className = "tracker-modal-content";
+
+		// Append elements to modal
+		this.modal.appendChild(modalControlBar);
+		this.modal.appendChild(this.modalContent);
+	}
+
+	/**
+	 * Updates the modal content with a section for each generation stage.
+	 */
+	updateContent() {
+		this.modalContent.innerHTML = "";
+
+		const title = $('<h3 class="tracker-modal-title"></h3>').text(`Tracker Prompt Preview for Message ${this.mesId}`);
+		const totalTokens = this.stages.reduce((total, stage) => total + stage.systemTokens + stage.requestTokens, 0);
+		const stageCount = this.stages.length === 1 ? "Single-stage" : this.stages.length === 2 ? "Two-stage" : `${this.stages.length}-stage`;
+		const summary = $("<small></small>").text(`${stageCount} generation, ${totalTokens} tokens in total. No request was sent to the model.`);
+		$(this.modalContent).append(title, summary);
+
+		for (const stage of this.stages) {
+			const section = $('<div class="tracker-prompt-preview-stage"></div>');
+			section.append($("<h4></h4>").text(`${stage.stage} (${stage.systemTokens + stage.requestTokens} tokens)`));
+			section.append(this.createPromptView("System Prompt", stage.systemPrompt, stage.systemTokens));
+			section.append(this.createPromptView("Request Prompt", stage.requestPrompt, stage.requestTokens));
+			$(this.modalContent).append(section);
+		}
+	}
+
+	/**
+	 * Creates a read-only view of a single prompt.
+	 * @param {string} label - The prompt name.
+	 * @param {string} prompt - The prompt text.
+	 * @param {number} tokens - The token count of the prompt.
+	 * @returns {jQuery} - The prompt view.
+	 */
+	createPromptView(label, prompt, tokens) {
+		const view = $('<div class="tracker-prompt-preview-prompt"></div>');
+		view.append($("<label></label>").text(`${label} (${tokens} tokens)`));
+		view.append($('<textarea class="text_pole textarea_compact" readonly></textarea>').val(prompt));
+		return view;
+	}
+
+	/**
+	 * Closes the modal, removes it from the DOM, and resets the singleton instance.
+	 */
+	close() {
+		if (this.modal) {
+			this.modal.close();
+			document.body.removeChild(this.modal);
+			this.modal = null;
+			TrackerPromptPreviewModal.instance = null;
+		}
+	}
+}